@@ -27,27 +27,80 @@ const AppState = {
   // Recording state
   isRecording: false,
   isPaused: false,
+  pauseReason: null,
+  trackSegment: 0,
+  gpsLost: false,
   currentSession: null,
   sequenceNum: 0,
   startTime: null,
   recordingTimer: null,
   captureInterval: null,
+  captureInProgress: false,
+  lastCapture: null,
+  pendingTag: null,
+  voiceNoteManager: null,
+  pendingVoiceNote: null,
+  videoRecorder: null,
+  videoSource: null,
+  videoIndexTimer: null,
+  lastCapturePoint: null,
+  lastCaptureTime: null,
+  lastFrameHash: null,
   
   // Sensor managers
   gpsManager: null,
   accelManager: null,
+  orientationManager: null,
+  deadReckoner: null,
+  batteryMonitor: null,
+  batteryStretch: 1,
+  motionStateDetector: null,
+  geofenceMonitor: null,
+  geofenceSessionId: null,
+  geofenceQueue: Promise.resolve(),
+  imuLogger: null,
+  roughnessMeter: null,
+  roadEventDetector: null,
   wakeLockManager: null,
   
   // Camera
   cameraStream: null,
   videoElement: null,
   canvasElement: null,
+  imageCapture: null,
+  grabInProgress: false,
+  maskDraft: null,
+  analysisCanvas: null,
+  frameEncoder: null,
+  deviceInfo: null,
   
   // Settings
   settings: {
+    recordingMode: 'photo',
+    captureBackend: 'video',
+    cameraDeviceId: '',
+    cameraProfiles: {},
+    captureTrigger: 'time',
     captureInterval: 2000,
+    captureDistance: 10,
+    lowBatteryLevel: 20,
     imageQuality: 0.7,
     imageMaxWidth: 1280,
+    qualityGate: false,
+    minSharpness: 50,
+    minBrightness: 30,
+    suppressDuplicates: true,
+    autoLevel: false,
+    autoPause: false,
+    autoPauseDwell: 60,
+    autoResumeSpeed: 8,
+    coverageSource: 'filtered',
+    coverageGapDistance: 200,
+    coverageGapTime: 120,
+    surveyAreas: null,
+    geofenceAuto: false,
+    geofenceGrace: 50,
+    tagCategories: ['Pothole', 'Broken Sign', 'Missing Curb Ramp', 'Other'],
     githubLimit: 1000
   },
   
@@ -80,9 +133,19 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Check for session recovery
     await checkRecovery();
     
+    // Watch for entering assigned survey areas
+    updateGeofenceMonitor();
+    
     // Initialize camera
     await initCamera();
     
+    // Start the background frame encoder
+    AppState.frameEncoder = new FrameEncoder();
+    AppState.frameEncoder.start();
+    
+    // Identify device for image metadata
+    AppState.deviceInfo = await detectDeviceInfo();
+    
     // Update storage info
     await updateStorageInfo();
     
@@ -102,15 +165,81 @@ async function loadSettings() {
   const savedSettings = await Storage.getAllSettings();
   
   // Load saved capture settings
+  if (savedSettings.recordingMode) {
+    AppState.settings.recordingMode = savedSettings.recordingMode;
+  }
+  if (savedSettings.captureBackend) {
+    AppState.settings.captureBackend = savedSettings.captureBackend;
+  }
+  if (savedSettings.cameraDeviceId !== undefined) {
+    AppState.settings.cameraDeviceId = savedSettings.cameraDeviceId;
+  }
+  if (savedSettings.cameraProfiles) {
+    AppState.settings.cameraProfiles = savedSettings.cameraProfiles;
+  }
+  if (savedSettings.captureTrigger) {
+    AppState.settings.captureTrigger = savedSettings.captureTrigger;
+  }
   if (savedSettings.captureInterval) {
     AppState.settings.captureInterval = savedSettings.captureInterval;
   }
+  if (savedSettings.captureDistance) {
+    AppState.settings.captureDistance = savedSettings.captureDistance;
+  }
+  if (savedSettings.lowBatteryLevel !== undefined) {
+    AppState.settings.lowBatteryLevel = savedSettings.lowBatteryLevel;
+  }
   if (savedSettings.imageQuality) {
     AppState.settings.imageQuality = savedSettings.imageQuality;
   }
   if (savedSettings.imageMaxWidth) {
     AppState.settings.imageMaxWidth = savedSettings.imageMaxWidth;
   }
+  if (savedSettings.qualityGate !== undefined) {
+    AppState.settings.qualityGate = savedSettings.qualityGate;
+  }
+  if (Number.isFinite(savedSettings.minSharpness)) {
+    AppState.settings.minSharpness = savedSettings.minSharpness;
+  }
+  if (Number.isFinite(savedSettings.minBrightness)) {
+    AppState.settings.minBrightness = savedSettings.minBrightness;
+  }
+  if (savedSettings.suppressDuplicates !== undefined) {
+    AppState.settings.suppressDuplicates = savedSettings.suppressDuplicates;
+  }
+  if (savedSettings.autoLevel !== undefined) {
+    AppState.settings.autoLevel = savedSettings.autoLevel;
+  }
+  if (savedSettings.autoPause !== undefined) {
+    AppState.settings.autoPause = savedSettings.autoPause;
+  }
+  if (Number.isFinite(savedSettings.autoPauseDwell)) {
+    AppState.settings.autoPauseDwell = savedSettings.autoPauseDwell;
+  }
+  if (Number.isFinite(savedSettings.autoResumeSpeed)) {
+    AppState.settings.autoResumeSpeed = savedSettings.autoResumeSpeed;
+  }
+  if (savedSettings.coverageSource) {
+    AppState.settings.coverageSource = savedSettings.coverageSource;
+  }
+  if (savedSettings.coverageGapDistance !== undefined) {
+    AppState.settings.coverageGapDistance = savedSettings.coverageGapDistance;
+  }
+  if (savedSettings.coverageGapTime !== undefined) {
+    AppState.settings.coverageGapTime = savedSettings.coverageGapTime;
+  }
+  if (savedSettings.surveyAreas) {
+    AppState.settings.surveyAreas = savedSettings.surveyAreas;
+  }
+  if (savedSettings.geofenceAuto !== undefined) {
+    AppState.settings.geofenceAuto = savedSettings.geofenceAuto;
+  }
+  if (savedSettings.geofenceGrace !== undefined) {
+    AppState.settings.geofenceGrace = savedSettings.geofenceGrace;
+  }
+  if (savedSettings.tagCategories) {
+    AppState.settings.tagCategories = savedSettings.tagCategories;
+  }
   if (savedSettings.githubLimit) {
     AppState.settings.githubLimit = savedSettings.githubLimit;
   }
@@ -133,9 +262,29 @@ async function loadSettings() {
   }
   
   // Populate settings form
+  document.getElementById('recording-mode').value = AppState.settings.recordingMode;
+  document.getElementById('capture-backend').value = AppState.settings.captureBackend;
+  document.getElementById('capture-trigger').value = AppState.settings.captureTrigger;
   document.getElementById('capture-interval').value = AppState.settings.captureInterval;
+  document.getElementById('capture-distance').value = AppState.settings.captureDistance;
+  document.getElementById('low-battery-level').value = AppState.settings.lowBatteryLevel;
   document.getElementById('image-quality').value = AppState.settings.imageQuality;
   document.getElementById('image-resolution').value = AppState.settings.imageMaxWidth;
+  document.getElementById('quality-gate').checked = AppState.settings.qualityGate;
+  document.getElementById('min-sharpness').value = AppState.settings.minSharpness;
+  document.getElementById('min-brightness').value = AppState.settings.minBrightness;
+  document.getElementById('suppress-duplicates').checked = AppState.settings.suppressDuplicates;
+  document.getElementById('auto-level').checked = AppState.settings.autoLevel;
+  document.getElementById('auto-pause').checked = AppState.settings.autoPause;
+  document.getElementById('auto-pause-dwell').value = AppState.settings.autoPauseDwell;
+  document.getElementById('auto-resume-speed').value = AppState.settings.autoResumeSpeed;
+  document.getElementById('coverage-source').value = AppState.settings.coverageSource;
+  document.getElementById('coverage-gap-distance').value = AppState.settings.coverageGapDistance;
+  document.getElementById('coverage-gap-time').value = AppState.settings.coverageGapTime;
+  document.getElementById('geofence-auto').checked = AppState.settings.geofenceAuto;
+  document.getElementById('geofence-grace').value = AppState.settings.geofenceGrace;
+  updateSurveyAreaCount();
+  document.getElementById('tag-categories').value = AppState.settings.tagCategories.join(', ');
   document.getElementById('github-limit').value = AppState.settings.githubLimit;
   
   // Populate API tokens
@@ -146,11 +295,45 @@ async function loadSettings() {
   document.getElementById('contributor').value = CONFIG.CONTRIBUTOR;
 }
 
+/**
+ * Number typed into a settings field, or `fallback` when it is empty or not a number
+ */
+function readNumberSetting(id, fallback) {
+  const value = parseFloat(document.getElementById(id).value);
+  return Number.isFinite(value) ? value : fallback;
+}
+
 async function saveSettings() {
   // Read capture settings from form
+  AppState.settings.recordingMode = document.getElementById('recording-mode').value;
+  AppState.settings.captureBackend = document.getElementById('capture-backend').value;
+  AppState.settings.cameraDeviceId = document.getElementById('camera-device').value;
+  AppState.settings.captureTrigger = document.getElementById('capture-trigger').value;
   AppState.settings.captureInterval = parseInt(document.getElementById('capture-interval').value);
+  AppState.settings.captureDistance = Math.round(readNumberSetting('capture-distance', 10));
+  AppState.settings.lowBatteryLevel = parseInt(document.getElementById('low-battery-level').value) || 0;
   AppState.settings.imageQuality = parseFloat(document.getElementById('image-quality').value);
   AppState.settings.imageMaxWidth = parseInt(document.getElementById('image-resolution').value);
+  AppState.settings.qualityGate = document.getElementById('quality-gate').checked;
+  AppState.settings.minSharpness = readNumberSetting('min-sharpness', 50);
+  AppState.settings.minBrightness = readNumberSetting('min-brightness', 30);
+  AppState.settings.suppressDuplicates = document.getElementById('suppress-duplicates').checked;
+  AppState.settings.autoLevel = document.getElementById('auto-level').checked;
+  AppState.settings.autoPause = document.getElementById('auto-pause').checked;
+  AppState.settings.autoPauseDwell = Math.round(readNumberSetting('auto-pause-dwell', 60));
+  AppState.settings.autoResumeSpeed = readNumberSetting('auto-resume-speed', 8);
+  AppState.settings.coverageSource = document.getElementById('coverage-source').value;
+  AppState.settings.coverageGapDistance = parseInt(document.getElementById('coverage-gap-distance').value) || 0;
+  AppState.settings.coverageGapTime = parseInt(document.getElementById('coverage-gap-time').value) || 0;
+  AppState.settings.geofenceAuto = document.getElementById('geofence-auto').checked;
+  AppState.settings.geofenceGrace = parseInt(document.getElementById('geofence-grace').value) || 0;
+  const tagCategories = document.getElementById('tag-categories').value
+    .split(',')
+    .map(c => c.trim())
+    .filter(Boolean);
+  if (tagCategories.length > 0) {
+    AppState.settings.tagCategories = tagCategories;
+  }
   AppState.settings.githubLimit = parseInt(document.getElementById('github-limit').value);
   
   // Read API tokens from form
@@ -174,6 +357,8 @@ async function saveSettings() {
   
   showToast('Settings saved', 'success');
   hidePanel('settings-panel');
+  
+  updateGeofenceMonitor();
 }
 
 // ============================================
@@ -187,19 +372,34 @@ async function initCamera() {
   AppState.canvasElement = document.createElement('canvas');
   
   try {
-    // Request camera with rear-facing preference
-    const constraints = {
-      video: {
-        facingMode: { ideal: 'environment' },
-        width: { ideal: 1920 },
-        height: { ideal: 1080 }
-      },
-      audio: false
+    // Request the chosen camera, or the rear-facing one by default
+    const video = {
+      width: { ideal: 1920 },
+      height: { ideal: 1080 }
     };
+    if (AppState.settings.cameraDeviceId) {
+      video.deviceId = { exact: AppState.settings.cameraDeviceId };
+    } else {
+      video.facingMode = { ideal: 'environment' };
+    }
     
-    AppState.cameraStream = await navigator.mediaDevices.getUserMedia(constraints);
+    try {
+      AppState.cameraStream = await navigator.mediaDevices.getUserMedia({ video, audio: false });
+    } catch (error) {
+      if (!video.deviceId) throw error;
+      
+      // Saved camera is gone (unplugged USB camera etc.)
+      console.warn('Selected camera unavailable, using default:', error);
+      delete video.deviceId;
+      video.facingMode = { ideal: 'environment' };
+      AppState.cameraStream = await navigator.mediaDevices.getUserMedia({ video, audio: false });
+    }
     AppState.videoElement.srcObject = AppState.cameraStream;
     
+    // Full-resolution stills where the ImageCapture API exists
+    const track = AppState.cameraStream.getVideoTracks()[0];
+    AppState.imageCapture = 'ImageCapture' in window && track ? new ImageCapture(track) : null;
+    
     // Wait for video to be ready
     await new Promise((resolve) => {
       AppState.videoElement.onloadedmetadata = () => {
@@ -209,6 +409,9 @@ async function initCamera() {
     });
     
     console.log('Camera initialized:', AppState.videoElement.videoWidth, 'x', AppState.videoElement.videoHeight);
+    drawMaskOverlay();
+    
+    await applyCameraProfile();
     
   } catch (error) {
     console.error('Failed to access camera:', error);
@@ -230,17 +433,107 @@ async function captureImage() {
     return null;
   }
   
+  const encoder = AppState.frameEncoder;
+  if (encoder?.ready && encoder.busy) {
+    console.warn('Encoder busy, skipping frame');
+    return null;
+  }
+  
+  // A still photo can take longer than the capture interval
+  if (AppState.grabInProgress) {
+    console.warn('Frame grab in progress, skipping frame');
+    return null;
+  }
+  
+  // Claimed before the first await so two ticks cannot both pass the checks above;
+  // encode() reserves its slot synchronously, so the flag can drop once the frame is grabbed
+  AppState.grabInProgress = true;
+  let grabbed;
+  try {
+    grabbed = await grabFrameSource(video);
+  } finally {
+    AppState.grabInProgress = false;
+  }
+  
+  const levelAngle = AppState.settings.autoLevel ? getLevelCorrection() : null;
+  
+  // Encode in the worker when available
+  let frame;
+  try {
+    if (encoder?.ready) {
+      frame = await encoder.encode(grabbed.source, {
+        maxWidth: AppState.settings.imageMaxWidth,
+        quality: AppState.settings.imageQuality,
+        ...getPrivacyMasks(grabbed.width, grabbed.height),
+        levelAngle
+      });
+    } else {
+      frame = await captureImageOnMainThread(grabbed.source, levelAngle);
+    }
+  } finally {
+    // Bitmaps transferred to the worker are already detached; close() is then a no-op
+    if (grabbed.source instanceof ImageBitmap) {
+      grabbed.source.close();
+    }
+  }
+  
+  if (!frame) return null;
+  
+  frame.backend = grabbed.backend;
+  frame.nativeWidth = grabbed.width;
+  frame.nativeHeight = grabbed.height;
+  frame.levelCorrection = levelAngle;
+  return frame;
+}
+
+/**
+ * Get the frame to encode from the configured capture backend
+ * 'still' uses ImageCapture (takePhoto, then grabFrame) and falls back to the preview video
+ */
+async function grabFrameSource(video) {
+  if (AppState.settings.captureBackend === 'still' && AppState.imageCapture) {
+    try {
+      const photo = await AppState.imageCapture.takePhoto();
+      const bitmap = await createImageBitmap(photo);
+      return { source: bitmap, backend: 'takePhoto', width: bitmap.width, height: bitmap.height };
+    } catch (e) {
+      console.warn('takePhoto failed, trying grabFrame:', e);
+    }
+    
+    try {
+      const bitmap = await AppState.imageCapture.grabFrame();
+      return { source: bitmap, backend: 'grabFrame', width: bitmap.width, height: bitmap.height };
+    } catch (e) {
+      console.warn('grabFrame failed, using preview video:', e);
+    }
+  }
+  
+  return { source: video, backend: 'video', width: video.videoWidth, height: video.videoHeight };
+}
+
+/**
+ * Fallback capture path when workers or OffscreenCanvas are unavailable
+ * Returns the same shape as FrameEncoder.encode()
+ */
+async function captureImageOnMainThread(source, levelAngle = null) {
   // Use the persistent canvas
   const canvas = AppState.canvasElement;
-  canvas.width = video.videoWidth;
-  canvas.height = video.videoHeight;
+  canvas.width = source.videoWidth || source.width;
+  canvas.height = source.videoHeight || source.height;
   
   const ctx = canvas.getContext('2d');
-  ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+  ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+  
+  const { masks, maskMode } = getPrivacyMasks(canvas.width, canvas.height);
+  FrameProcessing.applyMasks(ctx, canvas.width, canvas.height, masks, maskMode);
+  
+  const output = levelAngle
+    ? FrameProcessing.level(canvas, canvas.width, canvas.height, levelAngle)
+    : canvas;
   
   // Convert to blob
-  return new Promise((resolve) => {
-    canvas.toBlob(async (blob) => {
+  const blob = await new Promise((resolve) => {
+    output.toBlob(async (blob) => {
       if (!blob || blob.size === 0) {
         console.warn('Failed to create blob from canvas');
         resolve(null);
@@ -254,6 +547,65 @@ async function captureImage() {
       resolve(compressed);
     }, 'image/jpeg', 0.92);
   });
+  
+  if (!blob) return null;
+  
+  // Convert blob to ArrayBuffer for reliable IndexedDB storage on iOS
+  // Blobs can become "detached" and unreadable on iOS Safari/Chrome
+  let buffer;
+  try {
+    buffer = await blob.arrayBuffer();
+  } catch (e) {
+    console.error('Failed to convert blob to ArrayBuffer:', e);
+    return null;
+  }
+  
+  return {
+    buffer,
+    type: blob.type || 'image/jpeg',
+    size: blob.size,
+    analysis: await analyzeFrame(blob)
+  };
+}
+
+/**
+ * Best-effort device make/model for EXIF tags
+ * Uses UA Client Hints where available, otherwise parses the Android user agent
+ */
+async function detectDeviceInfo() {
+  let model = '';
+  
+  try {
+    if (navigator.userAgentData?.getHighEntropyValues) {
+      const values = await navigator.userAgentData.getHighEntropyValues(['model']);
+      model = values.model || '';
+    }
+  } catch (e) {
+    console.warn('Client hints unavailable:', e);
+  }
+  
+  if (!model) {
+    const match = navigator.userAgent.match(/Android [^;]+; ([^;)]+)[;)]/);
+    if (match && match[1].trim() !== 'K') {
+      model = match[1].trim();
+    } else if (/iPhone/.test(navigator.userAgent)) {
+      model = 'iPhone';
+    }
+  }
+  
+  // Map common model prefixes to a manufacturer
+  const makes = [
+    [/^Pixel/i, 'Google'],
+    [/^(SM-|Galaxy)/i, 'Samsung'],
+    [/^iPhone/i, 'Apple'],
+    [/^(Redmi|POCO|Mi )/i, 'Xiaomi'],
+    [/^moto/i, 'Motorola'],
+    [/^ONEPLUS/i, 'OnePlus']
+  ];
+  const make = makes.find(([pattern]) => pattern.test(model))?.[1] || '';
+  
+  console.log('Device info:', make || 'unknown make', model || 'unknown model');
+  return { make, model };
 }
 
 // ============================================
@@ -297,537 +649,3271 @@ async function compressImage(blob) {
 }
 
 // ============================================
-// GPS Manager
+// Frame Encoder (Web Worker)
 // ============================================
 
-class GPSManager {
-  constructor() {
-    this.lastPosition = null;
-    this.lastUpdateTime = null;
-    this.watchId = null;
-    this.staleThresholdMs = 10000;
-    this.errorState = null;
-    this.heartbeat = null;
-    this.onStale = null;
-    this.onError = null;
-    this.onUpdate = null;
+/**
+ * Runs resize + JPEG encode in encoder-worker.js
+ * At most maxPending frames are in flight; callers skip the frame when busy
+ */
+class FrameEncoder {
+  constructor(maxPending = 2) {
+    this.worker = null;
+    this.pending = new Map();
+    this.nextId = 1;
+    this.maxPending = maxPending;
+    this.supported = typeof Worker !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined' &&
+      typeof createImageBitmap === 'function';
+  }
+  
+  get ready() {
+    return this.worker !== null;
+  }
+  
+  get busy() {
+    return this.pending.size >= this.maxPending;
   }
   
   start() {
-    if (!navigator.geolocation) {
-      this.errorState = { code: 0, message: 'Geolocation not supported' };
+    if (!this.supported) {
+      console.warn('OffscreenCanvas worker not supported - encoding on main thread');
       return false;
     }
     
-    this.watchId = navigator.geolocation.watchPosition(
-      (position) => this.onPosition(position),
-      (error) => this.handleError(error),
-      {
-        enableHighAccuracy: true,
-        timeout: 15000,
-        maximumAge: 0
-      }
-    );
+    try {
+      this.worker = new Worker(`encoder-worker.js?v=${APP_VERSION}`);
+    } catch (e) {
+      console.warn('Failed to start encoder worker:', e);
+      this.worker = null;
+      return false;
+    }
     
-    this.heartbeat = setInterval(() => this.checkHealth(), 5000);
-    return true;
-  }
-  
-  onPosition(position) {
-    this.lastPosition = {
-      lat: position.coords.latitude,
-      lng: position.coords.longitude,
-      accuracy: position.coords.accuracy,
-      altitude: position.coords.altitude,
-      speed: position.coords.speed,
-      timestamp: position.timestamp
+    this.worker.onmessage = (event) => {
+      const { id, error, ...result } = event.data;
+      const job = this.pending.get(id);
+      if (!job) return;
+      
+      this.pending.delete(id);
+      if (error) {
+        job.reject(new Error(error));
+      } else {
+        job.resolve(result);
+      }
     };
-    this.lastUpdateTime = Date.now();
-    this.errorState = null;
     
-    if (this.onUpdate) {
-      this.onUpdate(this.lastPosition);
-    }
-  }
-  
-  handleError(error) {
-    this.errorState = {
-      code: error.code,
-      message: error.message,
-      timestamp: Date.now()
+    // A broken worker falls back to the main-thread path
+    this.worker.onerror = (event) => {
+      console.error('Encoder worker failed:', event.message);
+      this.stop();
     };
     
-    if (this.onError) {
-      this.onError(this.errorState);
-    }
+    console.log('Encoder worker started');
+    return true;
   }
   
-  checkHealth() {
-    const now = Date.now();
-    const age = this.lastUpdateTime ? now - this.lastUpdateTime : Infinity;
+  /**
+   * Encode a frame source (video element, blob or bitmap)
+   * Resolves to { buffer, type, size, width, height, analysis }
+   */
+  async encode(source, options) {
+    const id = this.nextId++;
     
-    if (age > this.staleThresholdMs && this.onStale) {
-      this.onStale({ lastUpdate: this.lastUpdateTime, ageMs: age });
-    }
-  }
-  
-  getCurrentReading() {
-    if (!this.lastPosition) {
-      return { available: false, error: this.errorState };
+    // Reserve the slot before grabbing the bitmap so concurrent ticks see it
+    const result = new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+    });
+    
+    try {
+      // Bitmaps are transferred as-is, anything else is snapshotted first
+      const bitmap = source instanceof ImageBitmap ? source : await createImageBitmap(source);
+      this.worker.postMessage({ id, bitmap, ...options }, [bitmap]);
+    } catch (error) {
+      this.pending.delete(id);
+      throw error;
     }
     
-    const age = Date.now() - this.lastUpdateTime;
-    return {
-      available: true,
-      ...this.lastPosition,
-      stale: age > this.staleThresholdMs,
-      ageMs: age
-    };
+    return result;
   }
   
   stop() {
-    if (this.watchId !== null) {
-      navigator.geolocation.clearWatch(this.watchId);
-      this.watchId = null;
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
     }
-    if (this.heartbeat) {
-      clearInterval(this.heartbeat);
-      this.heartbeat = null;
+    
+    for (const job of this.pending.values()) {
+      job.reject(new Error('Encoder stopped'));
     }
+    this.pending.clear();
   }
 }
 
 // ============================================
-// Accelerometer Manager
+// Frame Quality
 // ============================================
 
-class AccelerometerManager {
-  constructor() {
-    this.supported = 'DeviceMotionEvent' in window;
-    this.lastReading = null;
-    this.permissionGranted = false;
-    this.listener = null;
-  }
-  
-  async requestPermission() {
-    if (typeof DeviceMotionEvent.requestPermission === 'function') {
-      try {
-        const result = await DeviceMotionEvent.requestPermission();
-        this.permissionGranted = result === 'granted';
-        return this.permissionGranted;
-      } catch (e) {
-        console.warn('Accelerometer permission denied:', e);
-        return false;
-      }
-    }
-    this.permissionGranted = true;
-    return true;
-  }
-  
-  start() {
-    if (!this.supported) {
-      console.warn('DeviceMotion not supported');
-      return false;
+// Max differing hash bits for two frames to count as the same view
+const DUPLICATE_HASH_DISTANCE = 6;
+
+// GPS speed (m/s) below which the device counts as standing still
+const STATIONARY_SPEED = 0.5;
+
+// Largest rotation auto-level applies, so a bad reading cannot zoom the frame far in
+const MAX_LEVEL_ANGLE = 15;
+
+/**
+ * Score sharpness and brightness and compute a perceptual hash
+ * on a downscaled copy of the frame
+ */
+async function analyzeFrame(blob) {
+  try {
+    const bitmap = await createImageBitmap(blob, {
+      resizeWidth: FrameProcessing.SAMPLE_WIDTH,
+      resizeQuality: 'low'
+    });
+    
+    if (!AppState.analysisCanvas) {
+      AppState.analysisCanvas = document.createElement('canvas');
     }
+    const canvas = AppState.analysisCanvas;
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
     
-    this.listener = (e) => {
-      if (e.accelerationIncludingGravity) {
-        this.lastReading = {
-          x: e.accelerationIncludingGravity.x,
-          y: e.accelerationIncludingGravity.y,
-          z: e.accelerationIncludingGravity.z,
-          timestamp: Date.now()
-        };
-      }
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    
+    const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    return {
+      quality: FrameProcessing.measureQuality(pixels),
+      hash: FrameProcessing.computeHash(pixels)
     };
     
-    window.addEventListener('devicemotion', this.listener);
-    return true;
-  }
-  
-  getCurrentReading() {
-    if (!this.supported || !this.permissionGranted) {
-      return null;
-    }
-    return this.lastReading;
+  } catch (error) {
+    console.warn('Frame analysis failed:', error);
+    return null;
   }
+}
+
+/**
+ * Rotation (degrees, clockwise) that levels the horizon, or null without a usable reading
+ */
+function getLevelCorrection() {
+  const roll = AppState.accelManager?.getRoll();
+  if (roll === null || roll === undefined) return null;
   
-  stop() {
-    if (this.listener) {
-      window.removeEventListener('devicemotion', this.listener);
-      this.listener = null;
-    }
-  }
+  const correction = Math.max(-MAX_LEVEL_ANGLE, Math.min(MAX_LEVEL_ANGLE, -roll));
+  return Math.round(correction * 100) / 100;
 }
 
-// ============================================
-// Wake Lock Manager
+/**
+ * Check frame scores against the quality gate thresholds
+ */
+function passesQualityGate(quality) {
+  if (!AppState.settings.qualityGate || !quality) return true;
+  
+  return quality.sharpness >= AppState.settings.minSharpness &&
+    quality.brightness >= AppState.settings.minBrightness;
+}
+
+/**
+ * A frame is a stationary duplicate when it looks like the last saved
+ * frame and GPS says we are not moving
+ */
+function isStationaryDuplicate(hash, gpsReading) {
+  if (!AppState.settings.suppressDuplicates || !hash || !AppState.lastFrameHash) return false;
+  
+  const stationary = gpsReading.available && !gpsReading.stale &&
+    gpsReading.speed !== null && gpsReading.speed !== undefined &&
+    gpsReading.speed <= STATIONARY_SPEED;
+  
+  return stationary && FrameProcessing.hashDistance(hash, AppState.lastFrameHash) <= DUPLICATE_HASH_DISTANCE;
+}
+
+// ============================================
+// Camera Controls
+// ============================================
+
+// Track capabilities that can be saved in a camera profile
+const CAMERA_CONTROLS = ['focusMode', 'exposureMode', 'exposureCompensation', 'zoom', 'torch'];
+
+function getVideoTrack() {
+  return AppState.cameraStream?.getVideoTracks()[0] || null;
+}
+
+function stopCamera() {
+  if (AppState.cameraStream) {
+    AppState.cameraStream.getTracks().forEach(track => track.stop());
+    AppState.cameraStream = null;
+  }
+  AppState.imageCapture = null;
+}
+
+/**
+ * Key for the active camera's profile
+ * Uses the real device id so the default camera keeps its profile too
+ */
+function getCameraProfileKey() {
+  const track = getVideoTrack();
+  return track?.getSettings().deviceId || AppState.settings.cameraDeviceId || 'default';
+}
+
+function getCameraProfile() {
+  return AppState.settings.cameraProfiles[getCameraProfileKey()] || null;
+}
+
+/**
+ * Apply the saved profile for the active camera
+ * Unsupported controls are skipped so one bad value doesn't reject the rest
+ */
+async function applyCameraProfile(profile = getCameraProfile()) {
+  const track = getVideoTrack();
+  if (!track || !profile || typeof track.getCapabilities !== 'function') return;
+  
+  const capabilities = track.getCapabilities();
+  const constraints = {};
+  for (const key of CAMERA_CONTROLS) {
+    if (profile[key] !== undefined && key in capabilities) {
+      constraints[key] = profile[key];
+    }
+  }
+  
+  if (Object.keys(constraints).length === 0) return;
+  
+  try {
+    await track.applyConstraints({ advanced: [constraints] });
+    console.log('Camera profile applied:', constraints);
+  } catch (error) {
+    console.warn('Failed to apply camera profile:', error);
+  }
+}
+
+/**
+ * Fill the camera select with available video inputs
+ */
+async function listCameras() {
+  const select = document.getElementById('camera-device');
+  if (!navigator.mediaDevices?.enumerateDevices) return;
+  
+  try {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const cameras = devices.filter(d => d.kind === 'videoinput');
+    
+    select.replaceChildren(new Option('Default (Rear)', ''));
+    cameras.forEach((camera, i) => {
+      select.add(new Option(camera.label || `Camera ${i + 1}`, camera.deviceId));
+    });
+    select.value = AppState.settings.cameraDeviceId;
+    
+    // Saved camera no longer present
+    if (select.value !== AppState.settings.cameraDeviceId) {
+      select.value = '';
+    }
+  } catch (error) {
+    console.warn('Failed to list cameras:', error);
+  }
+}
+
+/**
+ * Show the controls the active track supports, set to its current values
+ */
+function renderCameraControls() {
+  const track = getVideoTrack();
+  const capabilities = track?.getCapabilities ? track.getCapabilities() : {};
+  const current = track ? track.getSettings() : {};
+  
+  const showRow = (id, visible) => {
+    document.getElementById(id).style.display = visible ? 'flex' : 'none';
+  };
+  
+  const fillModes = (id, modes, value) => {
+    const select = document.getElementById(id);
+    select.replaceChildren(...modes.map(mode => new Option(mode, mode)));
+    select.value = value || modes[0];
+  };
+  
+  const fillRange = (id, range, value) => {
+    const input = document.getElementById(id);
+    input.min = range.min;
+    input.max = range.max;
+    input.step = range.step || 0.1;
+    input.value = value ?? range.min;
+  };
+  
+  const hasFocus = Array.isArray(capabilities.focusMode) && capabilities.focusMode.length > 0;
+  showRow('camera-focus-row', hasFocus);
+  if (hasFocus) fillModes('camera-focus-mode', capabilities.focusMode, current.focusMode);
+  
+  const hasExposure = Array.isArray(capabilities.exposureMode) && capabilities.exposureMode.length > 0;
+  showRow('camera-exposure-row', hasExposure);
+  if (hasExposure) fillModes('camera-exposure-mode', capabilities.exposureMode, current.exposureMode);
+  
+  showRow('camera-compensation-row', !!capabilities.exposureCompensation);
+  if (capabilities.exposureCompensation) {
+    fillRange('camera-exposure-compensation', capabilities.exposureCompensation, current.exposureCompensation);
+  }
+  
+  showRow('camera-zoom-row', !!capabilities.zoom);
+  if (capabilities.zoom) {
+    fillRange('camera-zoom', capabilities.zoom, current.zoom);
+  }
+  
+  showRow('camera-torch-row', capabilities.torch !== undefined);
+  document.getElementById('camera-torch').checked = !!current.torch;
+  
+  const { masks, maskMode } = getPrivacyMasks();
+  document.getElementById('camera-mask-mode').value = maskMode;
+  document.getElementById('camera-mask-count').textContent =
+    masks.length === 1 ? '1 mask' : `${masks.length} masks`;
+  
+  const anyControls = CAMERA_CONTROLS.some(key => key in capabilities);
+  document.getElementById('camera-controls-hint').textContent = anyControls
+    ? 'Only controls supported by this camera are shown'
+    : 'This camera does not expose manual controls';
+}
+
+/**
+ * Read the visible controls into a profile object
+ */
+function readCameraControls() {
+  const track = getVideoTrack();
+  const capabilities = track?.getCapabilities ? track.getCapabilities() : {};
+  const profile = {};
+  
+  if (capabilities.focusMode) {
+    profile.focusMode = document.getElementById('camera-focus-mode').value;
+  }
+  if (capabilities.exposureMode) {
+    profile.exposureMode = document.getElementById('camera-exposure-mode').value;
+  }
+  if (capabilities.exposureCompensation) {
+    profile.exposureCompensation = parseFloat(document.getElementById('camera-exposure-compensation').value);
+  }
+  if (capabilities.zoom) {
+    profile.zoom = parseFloat(document.getElementById('camera-zoom').value);
+  }
+  if (capabilities.torch !== undefined) {
+    profile.torch = document.getElementById('camera-torch').checked;
+  }
+  profile.maskMode = document.getElementById('camera-mask-mode').value;
+  
+  return profile;
+}
+
+async function saveCameraProfile() {
+  if (!getVideoTrack()) {
+    showToast('Camera not available', 'error');
+    return;
+  }
+  
+  const key = getCameraProfileKey();
+  AppState.settings.cameraProfiles = {
+    ...AppState.settings.cameraProfiles,
+    [key]: { ...getCameraProfile(), ...readCameraControls() }
+  };
+  await Storage.saveSetting('cameraProfiles', AppState.settings.cameraProfiles);
+  
+  showToast('Camera profile saved', 'success');
+}
+
+/**
+ * Switch the preview to the selected camera
+ */
+async function switchCamera(deviceId) {
+  if (AppState.isRecording) {
+    showToast('Stop recording to switch cameras', 'warning');
+    document.getElementById('camera-device').value = AppState.settings.cameraDeviceId;
+    return;
+  }
+  
+  AppState.settings.cameraDeviceId = deviceId;
+  stopCamera();
+  await initCamera();
+  renderCameraControls();
+}
+
+// ============================================
+// Privacy Masks
+// ============================================
+
+// Mask points this close (normalized) to a preview edge are pushed to the source edge
+const MASK_EDGE_SNAP = 0.01;
+
+/**
+ * Masks for the active camera as normalized polygons [[x, y], ...]
+ * Masks are drawn on the preview frame; pass the size of a source with another aspect ratio
+ * (e.g. a 4:3 takePhoto still behind a 16:9 preview) to map them onto it
+ */
+function getPrivacyMasks(sourceWidth = null, sourceHeight = null) {
+  const profile = getCameraProfile();
+  const masks = profile?.masks || [];
+  const video = AppState.videoElement;
+  
+  return {
+    masks: sourceWidth && sourceHeight && video?.videoWidth
+      ? fitMasksToSource(masks, video.videoWidth / video.videoHeight, sourceWidth / sourceHeight)
+      : masks,
+    maskMode: profile?.maskMode || 'black'
+  };
+}
+
+/**
+ * Map masks normalized to the preview frame onto a source with a different aspect ratio
+ * The preview is taken as the centered crop of the source's field of view; points on a
+ * preview edge extend to the source edge so the band the preview never showed is covered too
+ */
+function fitMasksToSource(masks, previewAspect, sourceAspect) {
+  if (Math.abs(previewAspect - sourceAspect) < 0.01) return masks;
+  
+  // Size and offset of the preview's view inside the source, normalized to the source
+  const width = previewAspect < sourceAspect ? previewAspect / sourceAspect : 1;
+  const height = previewAspect > sourceAspect ? sourceAspect / previewAspect : 1;
+  const offsetX = (1 - width) / 2;
+  const offsetY = (1 - height) / 2;
+  
+  const fit = (value, size, offset) => {
+    if (value <= MASK_EDGE_SNAP) return 0;
+    if (value >= 1 - MASK_EDGE_SNAP) return 1;
+    return offset + value * size;
+  };
+  
+  return masks.map(points => points.map(([x, y]) => [
+    fit(x, width, offsetX),
+    fit(y, height, offsetY)
+  ]));
+}
+
+/**
+ * Where the frame is drawn inside the preview element
+ * The preview uses object-fit: cover, so part of the frame may be cropped off-screen
+ */
+function getPreviewFrameRect() {
+  const video = AppState.videoElement;
+  const width = video.clientWidth;
+  const height = video.clientHeight;
+  const frameWidth = video.videoWidth || width;
+  const frameHeight = video.videoHeight || height;
+  
+  const scale = Math.max(width / frameWidth, height / frameHeight);
+  const drawnWidth = frameWidth * scale;
+  const drawnHeight = frameHeight * scale;
+  
+  return {
+    x: (width - drawnWidth) / 2,
+    y: (height - drawnHeight) / 2,
+    width: drawnWidth,
+    height: drawnHeight
+  };
+}
+
+/**
+ * Redraw saved masks and the polygon being drawn over the preview
+ */
+function drawMaskOverlay() {
+  const overlay = document.getElementById('mask-overlay');
+  const ratio = window.devicePixelRatio || 1;
+  overlay.width = overlay.clientWidth * ratio;
+  overlay.height = overlay.clientHeight * ratio;
+  
+  const ctx = overlay.getContext('2d');
+  ctx.scale(ratio, ratio);
+  ctx.clearRect(0, 0, overlay.clientWidth, overlay.clientHeight);
+  
+  if (!AppState.videoElement) return;
+  
+  const rect = getPreviewFrameRect();
+  const toScreen = ([x, y]) => [rect.x + x * rect.width, rect.y + y * rect.height];
+  
+  const draft = AppState.maskDraft;
+  const masks = draft ? draft.masks : getPrivacyMasks().masks;
+  
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.strokeStyle = '#ff453a';
+  ctx.lineWidth = 2;
+  
+  for (const points of masks) {
+    ctx.beginPath();
+    points.map(toScreen).forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+  }
+  
+  // Polygon in progress
+  if (draft && draft.points.length > 0) {
+    ctx.setLineDash([6, 4]);
+    ctx.beginPath();
+    draft.points.map(toScreen).forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+    ctx.stroke();
+    ctx.setLineDash([]);
+    
+    ctx.fillStyle = '#ff453a';
+    for (const [x, y] of draft.points.map(toScreen)) {
+      ctx.beginPath();
+      ctx.arc(x, y, 4, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+}
+
+function startMaskEditor() {
+  if (!getVideoTrack()) {
+    showToast('Camera not available', 'error');
+    return;
+  }
+  
+  AppState.maskDraft = {
+    masks: getPrivacyMasks().masks.map(points => points.slice()),
+    points: []
+  };
+  
+  hidePanel('settings-panel');
+  document.getElementById('mask-overlay').classList.add('editing');
+  document.getElementById('mask-editor').style.display = 'flex';
+  drawMaskOverlay();
+}
+
+function addMaskPoint(event) {
+  if (!AppState.maskDraft) return;
+  
+  const overlay = document.getElementById('mask-overlay');
+  const bounds = overlay.getBoundingClientRect();
+  const rect = getPreviewFrameRect();
+  
+  const clamp = (v) => Math.min(1, Math.max(0, v));
+  const x = clamp((event.clientX - bounds.left - rect.x) / rect.width);
+  const y = clamp((event.clientY - bounds.top - rect.y) / rect.height);
+  
+  AppState.maskDraft.points.push([Math.round(x * 10000) / 10000, Math.round(y * 10000) / 10000]);
+  drawMaskOverlay();
+}
+
+function closeMaskPolygon() {
+  const draft = AppState.maskDraft;
+  if (!draft) return;
+  
+  if (draft.points.length < 3) {
+    showToast('A mask needs at least 3 points', 'warning');
+    return;
+  }
+  
+  draft.masks.push(draft.points);
+  draft.points = [];
+  drawMaskOverlay();
+}
+
+function undoMaskPoint() {
+  const draft = AppState.maskDraft;
+  if (!draft) return;
+  
+  // Undo the last point, or reopen the last finished mask
+  if (draft.points.length > 0) {
+    draft.points.pop();
+  } else if (draft.masks.length > 0) {
+    draft.points = draft.masks.pop();
+  }
+  drawMaskOverlay();
+}
+
+function clearMasks() {
+  if (!AppState.maskDraft) return;
+  
+  AppState.maskDraft.masks = [];
+  AppState.maskDraft.points = [];
+  drawMaskOverlay();
+}
+
+async function finishMaskEditor(save) {
+  const draft = AppState.maskDraft;
+  if (!draft) return;
+  
+  AppState.maskDraft = null;
+  document.getElementById('mask-overlay').classList.remove('editing');
+  document.getElementById('mask-editor').style.display = 'none';
+  
+  if (save) {
+    // Keep a finished-looking polygon rather than dropping it
+    if (draft.points.length >= 3) {
+      draft.masks.push(draft.points);
+    }
+    
+    const key = getCameraProfileKey();
+    AppState.settings.cameraProfiles = {
+      ...AppState.settings.cameraProfiles,
+      [key]: { ...getCameraProfile(), masks: draft.masks }
+    };
+    await Storage.saveSetting('cameraProfiles', AppState.settings.cameraProfiles);
+    
+    showToast(`${draft.masks.length} privacy mask(s) saved`, 'success');
+  }
+  
+  drawMaskOverlay();
+}
+
+// ============================================
+// GPS Manager
+// ============================================
+
+// Expected vehicle acceleration (m/s²) - the filter's process noise
+const GPS_FILTER_ACCELERATION = 3;
+
+// Squared Mahalanobis distance above which a fix is an outlier (chi-square, 2 dof, 99.9%)
+const GPS_OUTLIER_GATE = 13.8;
+
+// Fixes implying a faster jump than this (m/s) are rejected outright
+const GPS_MAX_SPEED = 70;
+
+// After this many consecutive rejections the filter restarts at the new position
+const GPS_MAX_REJECTIONS = 5;
+
+const EARTH_RADIUS_M = 6371000;
+
+/**
+ * Constant-velocity Kalman filter over GPS fixes, weighted by their reported accuracy
+ * Runs independently on east and north offsets (meters) from the first fix
+ */
+class PositionFilter {
+  constructor() {
+    this.reset();
+  }
+  
+  reset() {
+    this.origin = null;
+    this.axes = null;
+    this.lastTime = null;
+    this.rejections = 0;
+  }
+  
+  toLocal(lat, lng) {
+    const rad = Math.PI / 180;
+    return [
+      (lng - this.origin.lng) * rad * EARTH_RADIUS_M * Math.cos(this.origin.lat * rad),
+      (lat - this.origin.lat) * rad * EARTH_RADIUS_M
+    ];
+  }
+  
+  toLatLng(east, north) {
+    const rad = Math.PI / 180;
+    return {
+      lat: this.origin.lat + north / (EARTH_RADIUS_M * rad),
+      lng: this.origin.lng + east / (EARTH_RADIUS_M * rad * Math.cos(this.origin.lat * rad))
+    };
+  }
+  
+  start(fix, variance) {
+    this.origin = { lat: fix.lat, lng: fix.lng };
+    this.lastTime = fix.timestamp;
+    this.rejections = 0;
+    // Per axis: position, velocity and their covariance (velocity starts unknown)
+    this.axes = [0, 0].map(() => ({ p: 0, v: 0, pp: variance, pv: 0, vv: 100 }));
+  }
+  
+  /**
+   * Feed one fix; returns the filtered position and whether the fix was rejected
+   */
+  update(fix) {
+    const variance = Math.max(fix.accuracy || 0, 1) ** 2;
+    
+    if (!this.axes) {
+      this.start(fix, variance);
+      return this.getEstimate(false);
+    }
+    
+    // Predict forward to the fix time
+    const dt = Math.max((fix.timestamp - this.lastTime) / 1000, 0);
+    const q = GPS_FILTER_ACCELERATION ** 2;
+    for (const axis of this.axes) {
+      axis.p += axis.v * dt;
+      axis.pp += 2 * dt * axis.pv + dt * dt * axis.vv + q * dt ** 4 / 4;
+      axis.pv += dt * axis.vv + q * dt ** 3 / 2;
+      axis.vv += q * dt * dt;
+    }
+    this.lastTime = fix.timestamp;
+    
+    // Gate on innovation size and on physically impossible jumps
+    const measured = this.toLocal(fix.lat, fix.lng);
+    const innovations = this.axes.map((axis, i) => measured[i] - axis.p);
+    const distance = Math.hypot(...innovations);
+    const mahalanobis = this.axes.reduce((sum, axis, i) => sum + innovations[i] ** 2 / (axis.pp + variance), 0);
+    const impossible = dt > 0 && (distance - (fix.accuracy || 0)) / dt > GPS_MAX_SPEED;
+    
+    if (mahalanobis > GPS_OUTLIER_GATE || impossible) {
+      this.rejections++;
+      if (this.rejections >= GPS_MAX_REJECTIONS) {
+        // Persistent disagreement means we were wrong, not the receiver
+        this.start(fix, variance);
+        return this.getEstimate(false);
+      }
+      return this.getEstimate(true);
+    }
+    this.rejections = 0;
+    
+    // Update
+    this.axes.forEach((axis, i) => {
+      const s = axis.pp + variance;
+      const kp = axis.pp / s;
+      const kv = axis.pv / s;
+      axis.p += kp * innovations[i];
+      axis.v += kv * innovations[i];
+      axis.vv -= kv * axis.pv;
+      axis.pv *= 1 - kp;
+      axis.pp *= 1 - kp;
+    });
+    
+    return this.getEstimate(false);
+  }
+  
+  getEstimate(rejected) {
+    const [east, north] = this.axes;
+    const { lat, lng } = this.toLatLng(east.p, north.p);
+    return {
+      lat,
+      lng,
+      accuracy: Math.round(Math.sqrt((east.pp + north.pp) / 2) * 10) / 10,
+      rejected
+    };
+  }
+}
+
+class GPSManager {
+  constructor(sessionId = null) {
+    this.sessionId = sessionId;
+    this.filter = new PositionFilter();
+    this.lastPosition = null;
+    this.lastUpdateTime = null;
+    this.watchId = null;
+    this.staleThresholdMs = 10000;
+    this.errorState = null;
+    this.heartbeat = null;
+    this.onStale = null;
+    this.onError = null;
+    this.onUpdate = null;
+  }
+  
+  start() {
+    if (!navigator.geolocation) {
+      this.errorState = { code: 0, message: 'Geolocation not supported' };
+      return false;
+    }
+    
+    this.watchId = navigator.geolocation.watchPosition(
+      (position) => this.onPosition(position),
+      (error) => this.handleError(error),
+      {
+        enableHighAccuracy: true,
+        timeout: 15000,
+        maximumAge: 0
+      }
+    );
+    
+    this.heartbeat = setInterval(() => this.checkHealth(), 5000);
+    return true;
+  }
+  
+  onPosition(position) {
+    const raw = {
+      lat: position.coords.latitude,
+      lng: position.coords.longitude,
+      accuracy: position.coords.accuracy,
+      altitude: position.coords.altitude,
+      altitudeAccuracy: position.coords.altitudeAccuracy,
+      speed: position.coords.speed,
+      heading: position.coords.heading,
+      timestamp: position.timestamp
+    };
+    
+    // Raw coordinates are kept as reported; the filtered estimate rides along
+    const { rejected, ...filtered } = this.filter.update(raw);
+    this.lastPosition = { ...raw, filtered, rejected };
+    this.lastUpdateTime = Date.now();
+    this.errorState = null;
+    
+    // Every fix goes to the session track, independent of captures
+    if (this.sessionId) {
+      Storage.saveTrackPoint({ sessionId: this.sessionId, ...this.lastPosition })
+        .catch(error => console.error('Failed to save track point:', error));
+    }
+    
+    if (this.onUpdate) {
+      this.onUpdate(this.lastPosition);
+    }
+  }
+  
+  handleError(error) {
+    this.errorState = {
+      code: error.code,
+      message: error.message,
+      timestamp: Date.now()
+    };
+    
+    if (this.onError) {
+      this.onError(this.errorState);
+    }
+  }
+  
+  checkHealth() {
+    const now = Date.now();
+    const age = this.lastUpdateTime ? now - this.lastUpdateTime : Infinity;
+    
+    if (age > this.staleThresholdMs && this.onStale) {
+      this.onStale({ lastUpdate: this.lastUpdateTime, ageMs: age });
+    }
+  }
+  
+  getCurrentReading() {
+    if (!this.lastPosition) {
+      return { available: false, error: this.errorState };
+    }
+    
+    const age = Date.now() - this.lastUpdateTime;
+    return {
+      available: true,
+      ...this.lastPosition,
+      stale: age > this.staleThresholdMs,
+      ageMs: age
+    };
+  }
+  
+  stop() {
+    if (this.watchId !== null) {
+      navigator.geolocation.clearWatch(this.watchId);
+      this.watchId = null;
+    }
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+}
+
+// ============================================
+// Accelerometer Manager
+// ============================================
+
+class AccelerometerManager {
+  constructor() {
+    this.supported = 'DeviceMotionEvent' in window;
+    this.lastReading = null;
+    this.gravity = null;
+    this.onSample = null;
+    this.permissionGranted = false;
+    this.listener = null;
+  }
+  
+  async requestPermission() {
+    if (typeof DeviceMotionEvent.requestPermission === 'function') {
+      try {
+        const result = await DeviceMotionEvent.requestPermission();
+        this.permissionGranted = result === 'granted';
+        return this.permissionGranted;
+      } catch (e) {
+        console.warn('Accelerometer permission denied:', e);
+        return false;
+      }
+    }
+    this.permissionGranted = true;
+    return true;
+  }
+  
+  start() {
+    if (!this.supported) {
+      console.warn('DeviceMotion not supported');
+      return false;
+    }
+    
+    this.listener = (e) => {
+      if (e.accelerationIncludingGravity) {
+        this.lastReading = {
+          x: e.accelerationIncludingGravity.x,
+          y: e.accelerationIncludingGravity.y,
+          z: e.accelerationIncludingGravity.z,
+          timestamp: Date.now()
+        };
+        this.updateGravity(this.lastReading);
+      }
+      
+      if (this.onSample) {
+        this.onSample(e);
+      }
+    };
+    
+    window.addEventListener('devicemotion', this.listener);
+    return true;
+  }
+  
+  getCurrentReading() {
+    if (!this.supported || !this.permissionGranted) {
+      return null;
+    }
+    return this.lastReading;
+  }
+  
+  /**
+   * Low-pass filter the raw readings so vehicle acceleration and vibration average out
+   */
+  updateGravity(reading) {
+    if (reading.x === null || reading.y === null || reading.z === null) return;
+    
+    if (!this.gravity) {
+      this.gravity = { x: reading.x, y: reading.y, z: reading.z };
+      return;
+    }
+    
+    const alpha = 0.05;
+    this.gravity.x += alpha * (reading.x - this.gravity.x);
+    this.gravity.y += alpha * (reading.y - this.gravity.y);
+    this.gravity.z += alpha * (reading.z - this.gravity.z);
+  }
+  
+  /**
+   * Camera roll in degrees relative to the current screen orientation (positive = counter-clockwise)
+   * Returns null when the phone is lying too flat for the horizon to be meaningful
+   */
+  getRoll() {
+    if (!this.gravity) return null;
+    
+    // Express gravity in screen axes, since captured frames follow the screen orientation
+    const angle = ((screen.orientation?.angle ?? window.orientation ?? 0) * Math.PI) / 180;
+    const { x, y, z } = this.gravity;
+    let up = y * Math.cos(angle) + x * Math.sin(angle);
+    let right = x * Math.cos(angle) - y * Math.sin(angle);
+    
+    if (Math.hypot(up, right) < Math.abs(z)) return null;
+    
+    // Some browsers (iOS) report the opposite sign
+    if (up < 0) {
+      up = -up;
+      right = -right;
+    }
+    
+    return (Math.atan2(right, up) * 180) / Math.PI;
+  }
+  
+  stop() {
+    if (this.listener) {
+      window.removeEventListener('devicemotion', this.listener);
+      this.listener = null;
+    }
+  }
+}
+
+// ============================================
+// IMU Logger
+// ============================================
+
+// Samples are written in batches to keep IndexedDB transactions rare
+const IMU_FLUSH_MS = 2000;
+const IMU_MAX_BATCH = 500;
+
+/**
+ * Buffers every devicemotion event and writes batches to the imu store
+ * Samples are compact arrays: [epochMs, interval, acceleration xyz, with gravity xyz, rotationRate alpha/beta/gamma]
+ */
+class ImuLogger {
+  constructor(sessionId) {
+    this.sessionId = sessionId;
+    this.buffer = [];
+    this.flushTimer = null;
+    this.writes = Promise.resolve();
+  }
+  
+  start() {
+    this.flushTimer = setInterval(() => this.flush(), IMU_FLUSH_MS);
+  }
+  
+  add(event) {
+    const round = (v) => (v === null || v === undefined ? null : Math.round(v * 1000) / 1000);
+    const a = event.acceleration || {};
+    const g = event.accelerationIncludingGravity || {};
+    const r = event.rotationRate || {};
+    
+    // Wall-clock time so samples line up with capture timestamps
+    this.buffer.push([
+      Date.now(),
+      round(event.interval),
+      round(a.x), round(a.y), round(a.z),
+      round(g.x), round(g.y), round(g.z),
+      round(r.alpha), round(r.beta), round(r.gamma)
+    ]);
+    
+    if (this.buffer.length >= IMU_MAX_BATCH) {
+      this.flush();
+    }
+  }
+  
+  flush() {
+    if (this.buffer.length === 0) return this.writes;
+    
+    const samples = this.buffer;
+    this.buffer = [];
+    
+    this.writes = this.writes
+      .then(() => Storage.saveImuBatch({
+        sessionId: this.sessionId,
+        startTime: samples[0][0],
+        endTime: samples[samples.length - 1][0],
+        samples
+      }))
+      .catch(error => console.error('Failed to save IMU batch:', error));
+    
+    return this.writes;
+  }
+  
+  async stop() {
+    clearInterval(this.flushTimer);
+    this.flushTimer = null;
+    await this.flush();
+  }
+}
+
+// ============================================
+// Road Roughness
+// ============================================
+
+// Roughness is reported per fixed stretch of road (meters)
+const ROUGHNESS_WINDOW_M = 50;
+
+// Below this speed (m/s) normalizing by speed is meaningless, so the window restarts
+const ROUGHNESS_MIN_SPEED = 2;
+
+// Fixes less accurate than this (m) are not used to measure distance
+const ROUGHNESS_MAX_ACCURACY = 25;
+
+// Windows with fewer motion samples than this are dropped
+const ROUGHNESS_MIN_SAMPLES = 20;
+
+// Captures carry the last window's index for this long after it closed (ms)
+const ROUGHNESS_MAX_AGE = 30000;
+
+/**
+ * Linear acceleration (m/s²) projected onto the low-pass gravity estimate, positive = up
+ */
+function getVerticalAcceleration(event, gravity) {
+  if (!gravity) return null;
+  
+  const norm = Math.hypot(gravity.x, gravity.y, gravity.z);
+  if (norm === 0) return null;
+  
+  // Without linear acceleration, subtract the gravity estimate ourselves
+  let { x, y, z } = event.acceleration || {};
+  if (x === null || x === undefined) {
+    const raw = event.accelerationIncludingGravity || {};
+    if (raw.x === null || raw.x === undefined) return null;
+    x = raw.x - gravity.x;
+    y = raw.y - gravity.y;
+    z = raw.z - gravity.z;
+  }
+  
+  return (x * gravity.x + y * gravity.y + z * gravity.z) / norm;
+}
+
+/**
+ * Computes a roughness index over fixed-distance windows of travel
+ * Index = RMS of vertical acceleration (gravity removed, m/s²) divided by mean speed (m/s)
+ */
+class RoughnessMeter {
+  constructor(sessionId, accelManager) {
+    this.sessionId = sessionId;
+    this.accelManager = accelManager;
+    this.window = null;
+    this.lastWindow = null;
+    this.lastWindowTime = null;
+    this.writes = Promise.resolve();
+  }
+  
+  addSample(event) {
+    if (!this.window) return;
+    
+    const vertical = getVerticalAcceleration(event, this.accelManager.gravity);
+    if (!Number.isFinite(vertical)) return;
+    
+    this.window.sumSquares += vertical * vertical;
+    this.window.samples++;
+  }
+  
+  addPosition(position) {
+    if (position.rejected || position.accuracy > ROUGHNESS_MAX_ACCURACY) return;
+    
+    const point = [position.lng, position.lat];
+    if (!this.window) {
+      this.startWindow(point, position.timestamp);
+      return;
+    }
+    
+    const elapsed = (position.timestamp - this.window.lastTime) / 1000;
+    if (elapsed <= 0) return;
+    
+    const last = this.window.coordinates[this.window.coordinates.length - 1];
+    const distance = turf.distance(last, point, { units: 'meters' });
+    
+    // Stops and crawling break the window
+    if (distance / elapsed < ROUGHNESS_MIN_SPEED) {
+      this.startWindow(point, position.timestamp);
+      return;
+    }
+    
+    this.window.coordinates.push(point);
+    this.window.distance += distance;
+    this.window.lastTime = position.timestamp;
+    
+    if (this.window.distance >= ROUGHNESS_WINDOW_M) {
+      this.closeWindow();
+      this.startWindow(point, position.timestamp);
+    }
+  }
+  
+  startWindow(point, timestamp) {
+    this.window = {
+      startTime: timestamp,
+      lastTime: timestamp,
+      coordinates: [point],
+      distance: 0,
+      sumSquares: 0,
+      samples: 0
+    };
+  }
+  
+  closeWindow() {
+    const w = this.window;
+    if (w.samples < ROUGHNESS_MIN_SAMPLES) return;
+    
+    const speed = w.distance / ((w.lastTime - w.startTime) / 1000);
+    const rms = Math.sqrt(w.sumSquares / w.samples);
+    const record = {
+      sessionId: this.sessionId,
+      startTime: new Date(w.startTime).toISOString(),
+      endTime: new Date(w.lastTime).toISOString(),
+      distance: Math.round(w.distance * 10) / 10,
+      speed: Math.round(speed * 100) / 100,
+      samples: w.samples,
+      rmsVertical: Math.round(rms * 1000) / 1000,
+      roughness: Math.round((rms / speed) * 1000) / 1000,
+      coordinates: w.coordinates
+    };
+    
+    this.lastWindow = record;
+    this.lastWindowTime = Date.now();
+    this.writes = this.writes
+      .then(() => Storage.saveRoughnessWindow(record))
+      .catch(error => console.error('Failed to save roughness window:', error));
+  }
+  
+  getCurrentReading() {
+    if (!this.lastWindow || Date.now() - this.lastWindowTime > ROUGHNESS_MAX_AGE) {
+      return null;
+    }
+    return {
+      index: this.lastWindow.roughness,
+      rms: this.lastWindow.rmsVertical,
+      speed: this.lastWindow.speed
+    };
+  }
+  
+  /**
+   * Drop the partial window (e.g. on pause) so it doesn't span the gap
+   */
+  reset() {
+    this.window = null;
+  }
+  
+  async stop() {
+    this.reset();
+    await this.writes;
+  }
+}
+
+// ============================================
+// Road Event Detection
+// ============================================
+
+// Vertical acceleration (m/s²) that starts a pothole/bump event
+const ROAD_EVENT_THRESHOLD = 4;
+
+// Peak vertical acceleration (m/s²) for medium and high severity
+const ROAD_EVENT_MEDIUM = 7;
+const ROAD_EVENT_HIGH = 10;
+
+// Spikes closer together than this (ms) are one event (e.g. front and rear wheel)
+const ROAD_EVENT_GAP_MS = 500;
+
+// Below this GPS speed (m/s) spikes are more likely the phone being handled
+const ROAD_EVENT_MIN_SPEED = 2;
+
+/**
+ * Flags sharp vertical acceleration spikes as potholes or bumps
+ * A wheel dropping into a pothole first accelerates downward; a bump first pushes upward
+ */
+class RoadEventDetector {
+  constructor(sessionId, accelManager, gpsManager) {
+    this.sessionId = sessionId;
+    this.accelManager = accelManager;
+    this.gpsManager = gpsManager;
+    this.current = null;
+    this.onEvent = null;
+    this.writes = Promise.resolve();
+  }
+  
+  addSample(event) {
+    const vertical = getVerticalAcceleration(event, this.accelManager.gravity);
+    if (!Number.isFinite(vertical)) return;
+    
+    const now = Date.now();
+    if (Math.abs(vertical) >= ROAD_EVENT_THRESHOLD) {
+      if (!this.current) {
+        const gpsReading = this.gpsManager?.getCurrentReading() || { available: false };
+        if (gpsReading.available && Number.isFinite(gpsReading.speed) && gpsReading.speed < ROAD_EVENT_MIN_SPEED) {
+          return;
+        }
+        this.current = {
+          startTime: now,
+          lastTime: now,
+          direction: Math.sign(vertical),
+          peak: 0,
+          gps: gpsReading.available && !gpsReading.stale ? gpsReading : null
+        };
+      }
+      this.current.peak = Math.max(this.current.peak, Math.abs(vertical));
+      this.current.lastTime = now;
+    } else if (this.current && now - this.current.lastTime > ROAD_EVENT_GAP_MS) {
+      this.finishEvent();
+    }
+  }
+  
+  finishEvent() {
+    const { startTime, lastTime, direction, peak, gps } = this.current;
+    this.current = null;
+    
+    let severity = 'low';
+    if (peak >= ROAD_EVENT_HIGH) {
+      severity = 'high';
+    } else if (peak >= ROAD_EVENT_MEDIUM) {
+      severity = 'medium';
+    }
+    
+    const roadEvent = {
+      sessionId: this.sessionId,
+      timestamp: new Date(startTime).toISOString(),
+      type: direction < 0 ? 'pothole' : 'bump',
+      severity,
+      peak: Math.round(peak * 100) / 100,
+      durationMs: lastTime - startTime,
+      gps: gps ? {
+        lat: gps.lat,
+        lng: gps.lng,
+        accuracy: gps.accuracy,
+        speed: gps.speed ?? null
+      } : null
+    };
+    
+    this.writes = this.writes
+      .then(() => Storage.saveRoadEvent(roadEvent))
+      .catch(error => console.error('Failed to save road event:', error));
+    
+    if (this.onEvent) {
+      this.onEvent(roadEvent);
+    }
+  }
+  
+  /**
+   * Drop a spike in progress (e.g. on pause)
+   */
+  reset() {
+    this.current = null;
+  }
+  
+  async stop() {
+    this.reset();
+    await this.writes;
+  }
+}
+
+/**
+ * Field feedback for a detected pothole or bump
+ */
+function notifyRoadEvent(roadEvent) {
+  const label = roadEvent.type === 'pothole' ? 'Pothole' : 'Bump';
+  showToast(`${label} detected (${roadEvent.severity})`, 'warning');
+  
+  if (navigator.vibrate) {
+    navigator.vibrate(roadEvent.severity === 'high' ? [200, 100, 200] : 200);
+  }
+}
+
+// ============================================
+// Orientation Manager
+// ============================================
+
+// Compass readings older than this (ms) are ignored
+const COMPASS_MAX_AGE = 2000;
+
+/**
+ * Compass heading of the rear camera
+ * Uses AbsoluteOrientationSensor, then deviceorientationabsolute, then iOS webkitCompassHeading
+ */
+class OrientationManager {
+  constructor() {
+    this.sensor = null;
+    this.listener = null;
+    this.eventName = null;
+    this.lastReading = null;
+  }
+  
+  async requestPermission() {
+    if (typeof DeviceOrientationEvent !== 'undefined' &&
+        typeof DeviceOrientationEvent.requestPermission === 'function') {
+      try {
+        return (await DeviceOrientationEvent.requestPermission()) === 'granted';
+      } catch (e) {
+        console.warn('Orientation permission denied:', e);
+        return false;
+      }
+    }
+    return true;
+  }
+  
+  start() {
+    if ('AbsoluteOrientationSensor' in window) {
+      try {
+        this.sensor = new AbsoluteOrientationSensor({ frequency: 10 });
+        this.sensor.addEventListener('reading', () => {
+          const heading = headingFromQuaternion(this.sensor.quaternion);
+          this.setReading(heading, 'sensor');
+        });
+        this.sensor.addEventListener('error', (e) => {
+          console.warn('AbsoluteOrientationSensor failed, using orientation events:', e.error);
+          this.sensor.stop();
+          this.sensor = null;
+          this.startEvents();
+        });
+        this.sensor.start();
+        return true;
+      } catch (e) {
+        console.warn('AbsoluteOrientationSensor unavailable:', e);
+        this.sensor = null;
+      }
+    }
+    
+    return this.startEvents();
+  }
+  
+  startEvents() {
+    if (!('DeviceOrientationEvent' in window)) return false;
+    
+    this.eventName = 'ondeviceorientationabsolute' in window ? 'deviceorientationabsolute' : 'deviceorientation';
+    this.listener = (e) => {
+      if (typeof e.webkitCompassHeading === 'number') {
+        // iOS: already a compass heading
+        this.setReading(e.webkitCompassHeading, 'webkit');
+      } else if (e.absolute && e.alpha !== null) {
+        this.setReading(headingFromEuler(e.alpha, e.beta, e.gamma), 'orientation');
+      }
+    };
+    window.addEventListener(this.eventName, this.listener);
+    return true;
+  }
+  
+  setReading(heading, source) {
+    if (heading === null || !Number.isFinite(heading)) return;
+    this.lastReading = {
+      heading: Math.round(heading * 10) / 10,
+      source,
+      timestamp: Date.now()
+    };
+  }
+  
+  getCurrentReading() {
+    if (!this.lastReading || Date.now() - this.lastReading.timestamp > COMPASS_MAX_AGE) {
+      return null;
+    }
+    return this.lastReading;
+  }
+  
+  stop() {
+    if (this.sensor) {
+      this.sensor.stop();
+      this.sensor = null;
+    }
+    if (this.listener) {
+      window.removeEventListener(this.eventName, this.listener);
+      this.listener = null;
+    }
+  }
+}
+
+/**
+ * Heading (0-360, clockwise from north) of a device-frame direction given in
+ * East-North-Up world coordinates; null when it points nearly straight up or down
+ */
+function headingFromWorldVector(east, north, up) {
+  if (Math.hypot(east, north) < Math.abs(up) * 0.25) return null;
+  return ((Math.atan2(east, north) * 180) / Math.PI + 360) % 360;
+}
+
+/**
+ * Rear camera heading from deviceorientation angles (Z-X'-Y'' intrinsic, degrees)
+ * The camera looks along the device's -Z axis
+ */
+function headingFromEuler(alpha, beta, gamma) {
+  const rad = Math.PI / 180;
+  const cA = Math.cos(alpha * rad), sA = Math.sin(alpha * rad);
+  const cB = Math.cos(beta * rad), sB = Math.sin(beta * rad);
+  const cG = Math.cos(gamma * rad), sG = Math.sin(gamma * rad);
+  
+  return headingFromWorldVector(
+    -(cA * sG + sA * sB * cG),
+    -(sA * sG - cA * sB * cG),
+    -(cB * cG)
+  );
+}
+
+/**
+ * Rear camera heading from an AbsoluteOrientationSensor quaternion [x, y, z, w]
+ */
+function headingFromQuaternion([x, y, z, w]) {
+  return headingFromWorldVector(
+    -2 * (x * z + w * y),
+    -2 * (y * z - w * x),
+    -(1 - 2 * (x * x + y * y))
+  );
+}
+
+// ============================================
+// Dead Reckoning
+// ============================================
+
+// How often (ms) the estimate is advanced while GPS is stale
+const DEAD_RECKONING_STEP_MS = 500;
+
+// No estimates this long (ms) after the last fix - the error is too large by then
+const DEAD_RECKONING_MAX_MS = 120000;
+
+// Uncertainty growth: fixed drift (m/s) plus a fraction of the distance travelled
+const DEAD_RECKONING_DRIFT = 1;
+const DEAD_RECKONING_DISTANCE_ERROR = 0.1;
+
+// Smoothed linear acceleration (m/s²) below which the vehicle is taken to be standing still
+const DEAD_RECKONING_STILL_ACCEL = 0.15;
+
+/**
+ * Estimates position while GPS is stale from the last good fix's speed and course
+ * Turns since that fix are taken from the compass; the accelerometer detects stops
+ */
+class DeadReckoner {
+  constructor(gpsManager, orientationManager) {
+    this.gpsManager = gpsManager;
+    this.orientationManager = orientationManager;
+    this.anchor = null;
+    this.estimate = null;
+    this.motion = null;
+    this.timer = null;
+  }
+  
+  start() {
+    this.timer = setInterval(() => this.step(), DEAD_RECKONING_STEP_MS);
+  }
+  
+  addMotionSample(event) {
+    const a = event.acceleration;
+    if (!a || a.x === null || a.x === undefined) return;
+    
+    const magnitude = Math.hypot(a.x, a.y, a.z);
+    this.motion = this.motion === null ? magnitude : this.motion + 0.02 * (magnitude - this.motion);
+  }
+  
+  isStill() {
+    return this.motion !== null && this.motion < DEAD_RECKONING_STILL_ACCEL;
+  }
+  
+  /**
+   * Remember the last good fix, with the compass heading at that moment
+   */
+  setAnchor(reading, compass) {
+    const position = reading.filtered || reading;
+    const speed = Number.isFinite(reading.speed) ? reading.speed : 0;
+    
+    this.anchor = {
+      lat: position.lat,
+      lng: position.lng,
+      accuracy: position.accuracy,
+      speed,
+      heading: Number.isFinite(reading.heading) && speed >= 1 ? reading.heading : null,
+      compass: compass?.heading ?? null,
+      time: Date.now() - reading.ageMs
+    };
+  }
+  
+  step() {
+    const reading = this.gpsManager.getCurrentReading();
+    const compass = this.orientationManager?.getCurrentReading() || null;
+    if (!reading.available) return;
+    
+    if (!reading.stale) {
+      if (!reading.rejected) {
+        this.setAnchor(reading, compass);
+      }
+      this.estimate = null;
+      return;
+    }
+    
+    if (!this.anchor) return;
+    
+    const now = Date.now();
+    if (now - this.anchor.time > DEAD_RECKONING_MAX_MS) {
+      this.anchor = null;
+      this.estimate = null;
+      return;
+    }
+    
+    if (!this.estimate) {
+      this.estimate = {
+        lat: this.anchor.lat,
+        lng: this.anchor.lng,
+        accuracy: this.anchor.accuracy,
+        headingSource: null,
+        time: this.anchor.time
+      };
+    }
+    
+    // Course: GPS course corrected by how far the compass has turned since, else the compass alone
+    let heading = this.anchor.heading;
+    let headingSource = heading !== null ? 'gps' : null;
+    if (compass) {
+      heading = heading !== null && this.anchor.compass !== null
+        ? (heading + compass.heading - this.anchor.compass + 360) % 360
+        : compass.heading;
+      headingSource = 'compass';
+    }
+    
+    const dt = (now - this.estimate.time) / 1000;
+    const distance = this.isStill() ? 0 : this.anchor.speed * dt;
+    
+    if (heading !== null) {
+      const rad = Math.PI / 180;
+      const north = distance * Math.cos(heading * rad);
+      const east = distance * Math.sin(heading * rad);
+      this.estimate.lat += north / (EARTH_RADIUS_M * rad);
+      this.estimate.lng += east / (EARTH_RADIUS_M * rad * Math.cos(this.estimate.lat * rad));
+      this.estimate.accuracy += DEAD_RECKONING_DRIFT * dt + DEAD_RECKONING_DISTANCE_ERROR * distance;
+    } else {
+      // Moving in an unknown direction: only the uncertainty grows
+      this.estimate.accuracy += DEAD_RECKONING_DRIFT * dt + distance;
+    }
+    
+    this.estimate.headingSource = headingSource;
+    this.estimate.time = now;
+  }
+  
+  /**
+   * Current estimate while GPS is stale, or null
+   */
+  getEstimate() {
+    if (!this.estimate) return null;
+    
+    return {
+      lat: this.estimate.lat,
+      lng: this.estimate.lng,
+      accuracy: Math.round(this.estimate.accuracy * 10) / 10,
+      source: 'dead-reckoning',
+      headingSource: this.estimate.headingSource,
+      elapsedMs: this.estimate.time - this.anchor.time
+    };
+  }
+  
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// ============================================
+// Motion State Detector
+// ============================================
+
+// How often (ms) the motion state is evaluated
+const MOTION_STATE_STEP_MS = 1000;
+
+// Variance of the accelerometer magnitude ((m/s²)²) below which the phone is at rest
+const MOTION_STILL_VARIANCE = 0.05;
+
+// Movement must last this long (ms) before it counts, so a nudge doesn't resume
+const MOTION_RESUME_MS = 3000;
+
+/**
+ * Decides whether the vehicle is parked or driving from GPS speed and accelerometer variance
+ * Calls onStationary after `dwellMs` at rest and onMoving after sustained movement
+ */
+class MotionStateDetector {
+  constructor(gpsManager, { dwellMs, resumeSpeed }) {
+    this.gpsManager = gpsManager;
+    this.dwellMs = dwellMs;
+    this.resumeSpeed = resumeSpeed;
+    this.state = 'moving';
+    this.since = null;
+    this.mean = null;
+    this.variance = null;
+    this.timer = null;
+    this.onStationary = null;
+    this.onMoving = null;
+  }
+  
+  start() {
+    this.timer = setInterval(() => this.step(), MOTION_STATE_STEP_MS);
+  }
+  
+  /**
+   * Running (exponentially weighted) variance of the acceleration magnitude
+   */
+  addSample(event) {
+    const a = event.accelerationIncludingGravity;
+    if (!a || a.x === null || a.x === undefined) return;
+    
+    const magnitude = Math.hypot(a.x, a.y, a.z);
+    if (this.mean === null) {
+      this.mean = magnitude;
+      this.variance = 0;
+      return;
+    }
+    
+    const alpha = 0.02;
+    const diff = magnitude - this.mean;
+    this.mean += alpha * diff;
+    this.variance = (1 - alpha) * (this.variance + alpha * diff * diff);
+  }
+  
+  step() {
+    const gpsReading = this.gpsManager?.getCurrentReading() || { available: false };
+    const speed = gpsReading.available && !gpsReading.stale && Number.isFinite(gpsReading.speed)
+      ? gpsReading.speed
+      : null;
+    const still = this.variance !== null && this.variance < MOTION_STILL_VARIANCE;
+    
+    // Parked needs both sensors to agree; without a speed, vibration alone decides
+    const stationary = still && (speed === null || speed <= STATIONARY_SPEED);
+    const moving = speed !== null ? speed >= this.resumeSpeed : !still;
+    
+    const changing = this.state === 'moving' ? stationary : moving;
+    if (!changing) {
+      this.since = null;
+      return;
+    }
+    
+    const now = Date.now();
+    this.since = this.since ?? now;
+    const required = this.state === 'moving' ? this.dwellMs : MOTION_RESUME_MS;
+    if (now - this.since < required) return;
+    
+    this.since = null;
+    this.state = this.state === 'moving' ? 'stationary' : 'moving';
+    const callback = this.state === 'stationary' ? this.onStationary : this.onMoving;
+    if (callback) {
+      callback();
+    }
+  }
+  
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// ============================================
+// Wake Lock Manager
+// ============================================
+
+class WakeLockManager {
+  constructor() {
+    this.wakeLock = null;
+    this.fallbackVideo = null;
+    this.supported = 'wakeLock' in navigator;
+    this.method = null;
+  }
+  
+  async acquire() {
+    if (this.supported) {
+      try {
+        this.wakeLock = await navigator.wakeLock.request('screen');
+        this.wakeLock.addEventListener('release', () => {
+          console.warn('Wake lock released');
+          this.wakeLock = null;
+          
+          // Auto-reacquire if still recording
+          if (AppState.isRecording && !AppState.isPaused) {
+            console.log('Auto-reacquiring wake lock...');
+            setTimeout(() => this.acquire(), 1000);
+          }
+        });
+        this.method = 'wakeLock';
+        console.log('Wake lock acquired');
+        return { method: 'wakeLock', success: true };
+      } catch (e) {
+        console.warn('Wake lock failed, trying fallback:', e);
+      }
+    }
+    
+    return this.acquireFallback();
+  }
+  
+  async acquireFallback() {
+    if (!this.fallbackVideo) {
+      this.fallbackVideo = document.createElement('video');
+      this.fallbackVideo.setAttribute('playsinline', '');
+      this.fallbackVideo.setAttribute('muted', '');
+      this.fallbackVideo.muted = true;
+      this.fallbackVideo.style.cssText = 'position:fixed;top:-1px;left:-1px;width:1px;height:1px;opacity:0;pointer-events:none;';
+      
+      // Tiny silent video data URI
+      this.fallbackVideo.src = 'data:video/mp4;base64,AAAAIGZ0eXBtcDQyAAACAGlzb21pc28yYXZjMW1wNDEAAAAIZnJlZQAAA0NtZGF0AAACrQYF//+p3EXpvebZSLeWLNgg2SPu73gyNjQgLSBjb3JlIDE1NyByMjk4MCBkMGEyZTU1IC0gSC4yNjQvTVBFRy00IEFWQyBjb2RlYyAtIENvcHlsZWZ0IDIwMDMtMjAxOCAtIGh0dHA6Ly93d3cudmlkZW9sYW4ub3JnL3gyNjQuaHRtbCAtIG9wdGlvbnM6IGNhYmFjPTEgcmVmPTMgZGVibG9jaz0xOjA6MCBhbmFseXNlPTB4MzoweDExMyBtZT1oZXggc3VibWU9NyBwc3k9MSBwc3lfcmQ9MS4wMDowLjAwIG1peGVkX3JlZj0xIG1lX3JhbmdlPTE2IGNocm9tYV9tZT0xIHRyZWxsaXM9MSA4eDhkY3Q9MSBjcW09MCBkZWFkem9uZT0yMSwxMSBmYXN0X3Bza2lwPTEgY2hyb21hX3FwX29mZnNldD0tMiB0aHJlYWRzPTYgbG9va2FoZWFkX3RocmVhZHM9MSBzbGljZWRfdGhyZWFkcz0wIG5yPTAgZGVjaW1hdGU9MSBpbnRlcmxhY2VkPTAgYmx1cmF5X2NvbXBhdD0wIGNvbnN0cmFpbmVkX2ludHJhPTAgYmZyYW1lcz0zIGJfcHlyYW1pZD0yIGJfYWRhcHQ9MSBiX2JpYXM9MCBkaXJlY3Q9MSB3ZWlnaHRiPTEgb3Blbl9nb3A9MCB3ZWlnaHRwPTIga2V5aW50PTI1MCBrZXlpbnRfbWluPTI1IHNjZW5lY3V0PTQwIGludHJhX3JlZnJlc2g9MCByY19sb29rYWhlYWQ9NDAgcmM9Y3JmIG1idHJlZT0xIGNyZj0yMy4wIHFjb21wPTAuNjAgcXBtaW49MCBxcG1heD02OSBxcHN0ZXA9NCBpcF9yYXRpbz0xLjQwIGFxPTE6MS4wMACAAAABIGWIhAAz//727L4FNf2f0JcRLMXaSnA+KqSAgHc0wAAAAwAAAwAAFgn0IAAABANAAAE1gAAAAwAAU7trAR4AAADLAAAR4QAAABcABECjAYVUDGwaA94AAAADAAAABgAAAAoAERAkk6AAAAMAAAADgAAAABEABECjAYVUDGwaA94AAAADAAAABgAAAAoAERAkk6A=';
+      this.fallbackVideo.loop = true;
+      document.body.appendChild(this.fallbackVideo);
+    }
+    
+    try {
+      await this.fallbackVideo.play();
+      this.method = 'video';
+      return { method: 'video', success: true };
+    } catch (e) {
+      this.method = null;
+      return { method: 'none', success: false, error: e.message };
+    }
+  }
+  
+  async release() {
+    if (this.wakeLock) {
+      try {
+        await this.wakeLock.release();
+      } catch (e) {}
+      this.wakeLock = null;
+    }
+    if (this.fallbackVideo) {
+      this.fallbackVideo.pause();
+    }
+    this.method = null;
+  }
+  
+  async reacquire() {
+    if (this.method === 'wakeLock' && !this.wakeLock) {
+      await this.acquire();
+    }
+  }
+}
+
+// ============================================
+// Battery Monitor
+// ============================================
+
+// Capture interval/distance multiplier below the low-battery level
+const LOW_BATTERY_STRETCH = 2;
+
+// At or below this level (0-1) the session is paused and saved before the phone dies
+const CRITICAL_BATTERY_LEVEL = 0.05;
+
+class BatteryMonitor {
+  constructor() {
+    this.battery = null;
+    this.listener = null;
+    this.onChange = null;
+  }
+  
+  async start() {
+    if (!navigator.getBattery) {
+      console.warn('Battery Status API not supported');
+      return false;
+    }
+    
+    try {
+      this.battery = await navigator.getBattery();
+    } catch (e) {
+      console.warn('Battery status unavailable:', e);
+      return false;
+    }
+    
+    this.listener = () => {
+      if (this.onChange) {
+        this.onChange(this.getCurrentReading());
+      }
+    };
+    this.battery.addEventListener('levelchange', this.listener);
+    this.battery.addEventListener('chargingchange', this.listener);
+    return true;
+  }
+  
+  getCurrentReading() {
+    if (!this.battery) return null;
+    return {
+      level: Math.round(this.battery.level * 100) / 100,
+      charging: this.battery.charging
+    };
+  }
+  
+  stop() {
+    if (this.battery && this.listener) {
+      this.battery.removeEventListener('levelchange', this.listener);
+      this.battery.removeEventListener('chargingchange', this.listener);
+    }
+    this.battery = null;
+    this.listener = null;
+  }
+}
+
+/**
+ * Capture spacing multiplier - stretched while on battery below the low level
+ */
+function getBatteryStretch() {
+  const reading = AppState.batteryMonitor?.getCurrentReading();
+  if (!reading || reading.charging || reading.level > AppState.settings.lowBatteryLevel / 100) {
+    return 1;
+  }
+  return LOW_BATTERY_STRETCH;
+}
+
+async function startBatteryMonitor() {
+  AppState.batteryMonitor = new BatteryMonitor();
+  AppState.batteryMonitor.onChange = reading => {
+    handleBatteryChange(reading).catch(reportBatteryError);
+  };
+  AppState.batteryStretch = 1;
+  
+  if (await AppState.batteryMonitor.start()) {
+    await handleBatteryChange(AppState.batteryMonitor.getCurrentReading()).catch(reportBatteryError);
+  }
+}
+
+function reportBatteryError(error) {
+  console.error('Low-battery handling failed:', error);
+  showToast('Low-battery handling failed: ' + error.message, 'error');
+}
+
+/**
+ * Stretch the capture interval when low, and pause cleanly before shutdown
+ */
+async function handleBatteryChange(reading) {
+  if (!AppState.isRecording || AppState.isPaused) return;
+  
+  if (!reading.charging && reading.level <= CRITICAL_BATTERY_LEVEL) {
+    await pauseRecording('battery');
+    showToast(`Battery at ${Math.round(reading.level * 100)}% - recording paused and saved`, 'error');
+    return;
+  }
+  
+  const stretch = getBatteryStretch();
+  if (stretch === AppState.batteryStretch) return;
+  
+  AppState.batteryStretch = stretch;
+  if (stretch > 1) {
+    showToast(`Low battery - capturing ${stretch}× less often`, 'warning');
+  }
+  if (AppState.captureInterval && !isVideoSession()) {
+    scheduleCaptures();
+  }
+}
+
+// ============================================
+// Recording Control
+// ============================================
+
+async function startRecording(sessionName = null) {
+  if (AppState.isRecording) return;
+  
+  try {
+    // Make sure camera is ready
+    if (!AppState.videoElement || AppState.videoElement.videoWidth === 0) {
+      await initCamera();
+      // Wait a bit for camera to stabilize
+      await new Promise(r => setTimeout(r, 500));
+    }
+    
+    // Unmasked video must never be stored
+    if (AppState.settings.recordingMode === 'video' && videoWouldSkipMasks()) {
+      showToast(VIDEO_MASKS_UNSUPPORTED, 'error');
+      return;
+    }
+    
+    // Lock focus/exposure/zoom from the saved profile
+    const cameraProfile = getCameraProfile();
+    await applyCameraProfile(cameraProfile);
+    const track = getVideoTrack();
+    
+    // Create session
+    AppState.currentSession = await Storage.createSession(sessionName, {
+      recordingMode: AppState.settings.recordingMode,
+      captureBackend: AppState.settings.captureBackend,
+      captureTrigger: AppState.settings.captureTrigger,
+      captureInterval: AppState.settings.captureInterval,
+      captureDistance: AppState.settings.captureDistance,
+      lowBatteryLevel: AppState.settings.lowBatteryLevel,
+      imageQuality: AppState.settings.imageQuality,
+      imageMaxWidth: AppState.settings.imageMaxWidth,
+      qualityGate: AppState.settings.qualityGate,
+      minSharpness: AppState.settings.minSharpness,
+      minBrightness: AppState.settings.minBrightness,
+      suppressDuplicates: AppState.settings.suppressDuplicates,
+      autoLevel: AppState.settings.autoLevel,
+      autoPause: AppState.settings.autoPause,
+      autoPauseDwell: AppState.settings.autoPauseDwell,
+      autoResumeSpeed: AppState.settings.autoResumeSpeed,
+      coverageSource: AppState.settings.coverageSource,
+      coverageGapDistance: AppState.settings.coverageGapDistance,
+      coverageGapTime: AppState.settings.coverageGapTime,
+      geofenceAuto: AppState.settings.geofenceAuto,
+      geofenceGrace: AppState.settings.geofenceGrace,
+      camera: {
+        label: track?.label || null,
+        ...cameraProfile
+      }
+    });
+    
+    AppState.sequenceNum = 0;
+    AppState.trackSegment = 0;
+    AppState.gpsLost = false;
+    AppState.startTime = Date.now();
+    AppState.lastCapturePoint = null;
+    AppState.lastCaptureTime = null;
+    AppState.lastFrameHash = null;
+    AppState.lastCapture = null;
+    AppState.isRecording = true;
+    AppState.isPaused = false;
+    
+    // Initialize sensors
+    AppState.gpsManager = new GPSManager(AppState.currentSession.id);
+    AppState.gpsManager.onUpdate = handleGPSUpdate;
+    AppState.gpsManager.onStale = handleGPSStale;
+    AppState.gpsManager.onError = (e) => {
+      console.error('GPS error:', e);
+      updateGPSStatus('error');
+    };
+    AppState.gpsManager.start();
+    
+    AppState.accelManager = new AccelerometerManager();
+    const accelPermission = await AppState.accelManager.requestPermission();
+    if (accelPermission) {
+      startMotionProcessing();
+      AppState.accelManager.start();
+      console.log('Accelerometer started');
+    } else {
+      console.warn('Accelerometer permission denied - continuing without it');
+    }
+    
+    AppState.orientationManager = new OrientationManager();
+    if (await AppState.orientationManager.requestPermission()) {
+      AppState.orientationManager.start();
+    } else {
+      console.warn('Orientation permission denied - continuing without compass');
+    }
+    
+    AppState.deadReckoner = new DeadReckoner(AppState.gpsManager, AppState.orientationManager);
+    AppState.deadReckoner.start();
+    
+    // Acquire wake lock
+    AppState.wakeLockManager = new WakeLockManager();
+    await AppState.wakeLockManager.acquire();
+    
+    // Handle visibility change
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    
+    // Start mini map
+    if (CONFIG.MAPBOX_TOKEN) {
+      try {
+        await CoverageMap.initMiniMap('mini-map', CONFIG.MAPBOX_TOKEN);
+        CoverageMap.startLiveTrack();
+        document.getElementById('mini-map-container').style.display = 'block';
+      } catch (e) {
+        console.warn('Mini map failed:', e);
+      }
+    }
+    
+    // Start capture interval
+    startCaptureLoop();
+    await startBatteryMonitor();
+    startAutoPause();
+    
+    // Start recording timer
+    startRecordingTimer();
+    
+    // Update UI
+    updateRecordingUI();
+    document.getElementById('capacity-bar').classList.add('visible');
+    
+    showToast('Recording started', 'success');
+    
+  } catch (error) {
+    console.error('Failed to start recording:', error);
+    showToast('Failed to start recording: ' + error.message, 'error');
+    await stopRecording();
+  }
+}
+
+/**
+ * Pause capturing and save state; `reason` is 'manual' or what paused it automatically
+ * ('auto' for the motion detector, 'battery')
+ */
+async function pauseRecording(reason = 'manual') {
+  if (!AppState.isRecording || AppState.isPaused) return;
+  
+  AppState.isPaused = true;
+  AppState.pauseReason = reason;
+  
+  // Stop capture loop
+  if (AppState.captureInterval) {
+    clearInterval(AppState.captureInterval);
+    AppState.captureInterval = null;
+  }
+  await stopVideoRecording();
+  
+  // Nothing is logged while paused, so write out what we have
+  if (AppState.imuLogger) {
+    await AppState.imuLogger.flush();
+  }
+  AppState.roughnessMeter?.reset();
+  AppState.roadEventDetector?.reset();
+  
+  // Update session, logging what triggered the pause
+  if (AppState.currentSession) {
+    AppState.currentSession = await Storage.addSessionEvent(
+      AppState.currentSession.id,
+      { type: 'pause', trigger: reason },
+      { status: 'paused', pauseReason: reason }
+    );
+  }
+  
+  updateRecordingUI();
+  showToast(reason === 'auto' ? 'Stopped - recording paused automatically' : 'Recording paused', 'info');
+}
+
+async function resumeRecording(reason = 'manual') {
+  if (!AppState.currentSession || !AppState.isPaused) return;
+  
+  AppState.isPaused = false;
+  AppState.pauseReason = null;
+  AppState.isRecording = true;
+  
+  // Update session
+  AppState.currentSession = await Storage.addSessionEvent(
+    AppState.currentSession.id,
+    { type: 'resume', trigger: reason },
+    { status: 'recording', pauseReason: null }
+  );
+  await startTrackSegment('pause');
+  
+  // Restart capture loop
+  startCaptureLoop();
+  
+  // Reacquire wake lock
+  if (AppState.wakeLockManager) {
+    await AppState.wakeLockManager.reacquire();
+  }
+  
+  updateRecordingUI();
+  showToast(reason === 'auto' ? 'Moving - recording resumed' : 'Recording resumed', 'success');
+}
+
+async function stopRecording() {
+  AppState.isRecording = false;
+  AppState.isPaused = false;
+  AppState.pauseReason = null;
+  
+  // Stop capture loop
+  if (AppState.captureInterval) {
+    clearInterval(AppState.captureInterval);
+    AppState.captureInterval = null;
+  }
+  await stopVideoRecording();
+  AppState.videoRecorder = null;
+  AppState.videoSource?.close();
+  AppState.videoSource = null;
+  
+  // Stop timer
+  if (AppState.recordingTimer) {
+    clearInterval(AppState.recordingTimer);
+    AppState.recordingTimer = null;
+  }
+  
+  // Stop sensors
+  if (AppState.gpsManager) {
+    AppState.gpsManager.stop();
+    AppState.gpsManager = null;
+  }
+  
+  if (AppState.accelManager) {
+    AppState.accelManager.stop();
+    AppState.accelManager = null;
+  }
+  
+  if (AppState.imuLogger) {
+    await AppState.imuLogger.stop();
+    AppState.imuLogger = null;
+  }
+  
+  if (AppState.roughnessMeter) {
+    await AppState.roughnessMeter.stop();
+    AppState.roughnessMeter = null;
+  }
+  
+  if (AppState.roadEventDetector) {
+    await AppState.roadEventDetector.stop();
+    AppState.roadEventDetector = null;
+  }
+  
+  if (AppState.orientationManager) {
+    AppState.orientationManager.stop();
+    AppState.orientationManager = null;
+  }
+  
+  if (AppState.deadReckoner) {
+    AppState.deadReckoner.stop();
+    AppState.deadReckoner = null;
+  }
+  
+  if (AppState.batteryMonitor) {
+    AppState.batteryMonitor.stop();
+    AppState.batteryMonitor = null;
+  }
+  
+  if (AppState.motionStateDetector) {
+    AppState.motionStateDetector.stop();
+    AppState.motionStateDetector = null;
+  }
+  
+  // Release wake lock
+  if (AppState.wakeLockManager) {
+    await AppState.wakeLockManager.release();
+    AppState.wakeLockManager = null;
+  }
+  
+  // Close the microphone (a clip still being held is saved first)
+  if (AppState.voiceNoteManager) {
+    await finishVoiceNote();
+    AppState.voiceNoteManager.release();
+    AppState.voiceNoteManager = null;
+  }
+  
+  // Stop mini map tracking
+  CoverageMap.stopLiveTrack();
+  document.getElementById('mini-map-container').style.display = 'none';
+  
+  // Remove visibility handler
+  document.removeEventListener('visibilitychange', handleVisibilityChange);
+  
+  // Update session
+  if (AppState.currentSession) {
+    AppState.currentSession = await Storage.patchSession(AppState.currentSession.id, {
+      status: 'stopped',
+      duration: Math.floor((Date.now() - AppState.startTime) / 1000)
+    });
+  }
+  
+  updateRecordingUI();
+  showToast('Recording stopped', 'info');
+}
+
+// How often the distance trigger checks the GPS position
+const DISTANCE_POLL_MS = 500;
+
+/**
+ * Log every motion event for the session and feed the roughness meter and
+ * road event detector (skipped while paused)
+ */
+function startMotionProcessing() {
+  const sessionId = AppState.currentSession.id;
+  AppState.imuLogger = new ImuLogger(sessionId);
+  AppState.imuLogger.start();
+  AppState.roughnessMeter = new RoughnessMeter(sessionId, AppState.accelManager);
+  AppState.roadEventDetector = new RoadEventDetector(sessionId, AppState.accelManager, AppState.gpsManager);
+  AppState.roadEventDetector.onEvent = notifyRoadEvent;
+  AppState.accelManager.onSample = (event) => {
+    // Keeps running while paused so auto-resume can see movement
+    AppState.motionStateDetector?.addSample(event);
+    
+    if (AppState.isPaused) return;
+    AppState.imuLogger?.add(event);
+    AppState.roughnessMeter?.addSample(event);
+    AppState.roadEventDetector?.addSample(event);
+    AppState.deadReckoner?.addMotionSample(event);
+  };
+}
+
+/**
+ * Auto-pause after standing still and resume on moving off, if enabled
+ * Only pauses the detector made itself are resumed automatically
+ */
+function startAutoPause() {
+  if (!AppState.settings.autoPause) return;
+  
+  AppState.motionStateDetector = new MotionStateDetector(AppState.gpsManager, {
+    dwellMs: AppState.settings.autoPauseDwell * 1000,
+    resumeSpeed: AppState.settings.autoResumeSpeed / 3.6
+  });
+  AppState.motionStateDetector.onStationary = () => {
+    if (AppState.isRecording && !AppState.isPaused) {
+      pauseRecording('auto').catch(error => {
+        console.error('Auto-pause failed:', error);
+        showToast('Auto-pause failed: ' + error.message, 'error');
+      });
+    }
+  };
+  AppState.motionStateDetector.onMoving = () => {
+    if (AppState.isPaused && AppState.pauseReason === 'auto') {
+      resumeRecording('auto').catch(error => {
+        console.error('Auto-resume failed:', error);
+        showToast('Auto-resume failed: ' + error.message, 'error');
+      });
+    }
+  };
+  AppState.motionStateDetector.start();
+}
+
+/**
+ * Every GPS fix updates the display and measures distance for roughness windows
+ */
+function handleGPSUpdate(position) {
+  updateGPSDisplay(position);
+  if (!AppState.isPaused) {
+    AppState.roughnessMeter?.addPosition(position);
+  }
+  
+  // First fix after losing GPS - don't join the route across the gap
+  if (AppState.gpsLost) {
+    AppState.gpsLost = false;
+    if (AppState.isRecording && !AppState.isPaused) {
+      startTrackSegment('gps-loss').catch(error => {
+        console.error('Failed to save track segment:', error);
+      });
+    }
+  }
+}
+
+function handleGPSStale() {
+  updateGPSStatus('stale');
+  AppState.gpsLost = true;
+}
+
+/**
+ * Begin a new track segment so coverage lines break here
+ * The counter moves on before saving, so captures taken meanwhile already land in the new segment
+ */
+async function startTrackSegment(reason) {
+  if (!AppState.currentSession) return;
+  
+  AppState.trackSegment++;
+  AppState.currentSession = await Storage.addTrackSegment(AppState.currentSession.id, reason);
+}
+
+function startCaptureLoop() {
+  // Clear any existing interval
+  if (AppState.captureInterval) {
+    clearInterval(AppState.captureInterval);
+  }
+  
+  // Video sessions record continuously instead of taking stills
+  if (isVideoSession()) {
+    startVideoRecording();
+    return;
+  }
+  
+  // Capture immediately
+  captureFrame(AppState.settings.captureTrigger);
+  
+  scheduleCaptures();
+}
+
+/**
+ * (Re)start the capture timer - at interval, or by distance travelled
+ * The interval is stretched while the battery is low
+ */
+function scheduleCaptures() {
+  if (AppState.captureInterval) {
+    clearInterval(AppState.captureInterval);
+  }
+  
+  if (AppState.settings.captureTrigger === 'distance') {
+    AppState.captureInterval = setInterval(checkDistanceTrigger, DISTANCE_POLL_MS);
+  } else {
+    AppState.captureInterval = setInterval(captureFrame, AppState.settings.captureInterval * getBatteryStretch());
+  }
+}
+
+/**
+ * Distance trigger - capture every N meters of travel
+ * Falls back to the time interval while there is no usable GPS fix
+ */
+async function checkDistanceTrigger() {
+  if (!AppState.isRecording || AppState.isPaused || AppState.captureInProgress) return;
+  
+  const gpsReading = AppState.gpsManager?.getCurrentReading() || { available: false };
+  const sinceLastCapture = AppState.lastCaptureTime ? Date.now() - AppState.lastCaptureTime : Infinity;
+  const stretch = getBatteryStretch();
+  
+  let trigger = null;
+  if (gpsReading.available && !gpsReading.stale) {
+    if (!AppState.lastCapturePoint) {
+      trigger = 'distance';
+    } else {
+      const travelled = turf.distance(
+        AppState.lastCapturePoint,
+        [gpsReading.lng, gpsReading.lat],
+        { units: 'meters' }
+      );
+      if (travelled >= AppState.settings.captureDistance * stretch) {
+        trigger = 'distance';
+      }
+    }
+  } else if (sinceLastCapture >= AppState.settings.captureInterval * stretch) {
+    trigger = 'time';
+  }
+  
+  if (!trigger) return;
+  
+  AppState.captureInProgress = true;
+  try {
+    await captureFrame(trigger);
+  } finally {
+    AppState.captureInProgress = false;
+  }
+}
+
+/**
+ * Capture, tag and store one frame
+ * `force` skips the quality gate and duplicate suppression (e.g. for a POI tag)
+ * Resolves to the saved capture record, or null when no frame was stored
+ */
+async function captureFrame(trigger = 'time', { force = false } = {}) {
+  if (!AppState.isRecording || AppState.isPaused) return null;
+  
+  try {
+    // Get image (encoded off the main thread when possible)
+    const frame = await captureImage();
+    if (!frame) {
+      console.warn('Failed to capture image, skipping frame');
+      return null;
+    }
+    
+    // Get sensor readings
+    const gpsReading = AppState.gpsManager?.getCurrentReading() || { available: false };
+    const accelReading = AppState.accelManager?.getCurrentReading();
+    const compassReading = AppState.orientationManager?.getCurrentReading();
+    const roughnessReading = AppState.roughnessMeter?.getCurrentReading() || null;
+    const surveyAreaStatus = getSurveyAreaStatus(gpsReading);
+    
+    // Drop the frame if it is blurry or too dark - the next tick retries
+    const analysis = frame.analysis;
+    const quality = analysis?.quality || null;
+    if (!force && !passesQualityGate(quality)) {
+      console.warn('Frame below quality threshold, skipping:', quality);
+      return null;
+    }
+    
+    // Skip near-identical frames while standing still (e.g. at a red light)
+    if (!force && isStationaryDuplicate(analysis?.hash, gpsReading)) {
+      console.log('Stationary duplicate frame suppressed');
+      await Storage.recordSuppressedFrame(AppState.currentSession.id);
+      return null;
+    }
+    
+    // Create capture record
+    AppState.sequenceNum++;
+    
+    const capture = {
+      sessionId: AppState.currentSession.id,
+      sequenceNum: AppState.sequenceNum,
+      trackSegment: AppState.trackSegment,
+      timestamp: new Date().toISOString(),
+      timezoneOffset: new Date().getTimezoneOffset(),
+      trigger,
+      device: AppState.deviceInfo,
+      gps: gpsReading.available ? {
+        lat: gpsReading.lat,
+        lng: gpsReading.lng,
+        accuracy: gpsReading.accuracy,
+        altitude: gpsReading.altitude ?? null,
+        altitudeAccuracy: gpsReading.altitudeAccuracy ?? null,
+        speed: gpsReading.speed ?? null,
+        heading: Number.isFinite(gpsReading.heading) ? gpsReading.heading : null,
+        timestamp: gpsReading.timestamp,
+        stale: gpsReading.stale || false,
+        filtered: gpsReading.filtered,
+        rejected: gpsReading.rejected,
+        // Dead-reckoned position while stale - never a real fix
+        estimated: gpsReading.stale ? AppState.deadReckoner?.getEstimate() ?? null : null
+      } : null,
+      compass: compassReading ? {
+        heading: compassReading.heading,
+        source: compassReading.source
+      } : null,
+      accel: accelReading ? {
+        x: Math.round(accelReading.x * 100) / 100,
+        y: Math.round(accelReading.y * 100) / 100,
+        z: Math.round(accelReading.z * 100) / 100
+      } : null,
+      roughness: roughnessReading,
+      battery: AppState.batteryMonitor?.getCurrentReading() || null,
+      surveyArea: surveyAreaStatus.surveyArea,
+      outsideSurveyArea: surveyAreaStatus.outsideSurveyArea,
+      quality,
+      frameHash: analysis?.hash || null,
+      levelCorrection: frame.levelCorrection,
+      source: {
+        backend: frame.backend,
+        width: frame.nativeWidth,
+        height: frame.nativeHeight
+      },
+      // Store as ArrayBuffer instead of Blob for iOS compatibility
+      imageData: frame.buffer,
+      imageType: frame.type,
+      imageSizeBytes: frame.size,
+      exifTagged: false,
+      published: false,
+      publishedUrl: null
+    };
+    
+    // Embed GPS/time EXIF tags so the JPEG is self-describing
+    try {
+      capture.imageData = Exif.tagCapture(frame.buffer, capture);
+      capture.imageSizeBytes = capture.imageData.byteLength;
+      capture.exifTagged = true;
+    } catch (e) {
+      console.warn('Failed to write EXIF, storing untagged image:', e);
+    }
+    
+    // Save to IndexedDB
+    capture.id = await Storage.saveCapture(capture);
+    
+    // Remember where and when this frame was taken for the distance trigger
+    AppState.lastCapture = { id: capture.id, sequenceNum: capture.sequenceNum };
+    AppState.lastCaptureTime = Date.now();
+    AppState.lastCapturePoint = capture.gps && !capture.gps.stale ? [capture.gps.lng, capture.gps.lat] : null;
+    AppState.lastFrameHash = capture.frameHash;
+    
+    console.log('Captured frame', AppState.sequenceNum, 'size:', capture.imageSizeBytes);
+    
+    // Update mini map
+    if (gpsReading.available) {
+      CoverageMap.updateLiveTrack(gpsReading.lng, gpsReading.lat);
+      CoverageMap.setCurrentPosition(gpsReading.lat, gpsReading.lng);
+    }
+    
+    // Update UI
+    updateCaptureCounter();
+    updateCapacityBar();
+    updateAccelDisplay(accelReading);
+    
+    // Check quota
+    await checkQuotaWarnings();
+    
+    return capture;
+    
+  } catch (error) {
+    console.error('Capture failed:', error);
+    return null;
+  }
+}
+
+function startRecordingTimer() {
+  if (AppState.recordingTimer) {
+    clearInterval(AppState.recordingTimer);
+  }
+  
+  updateRecordingTime();
+  AppState.recordingTimer = setInterval(() => {
+    if (!AppState.isPaused) {
+      updateRecordingTime();
+    }
+  }, 1000);
+}
+
+function handleVisibilityChange() {
+  if (document.visibilityState === 'visible' && AppState.isRecording && !AppState.isPaused) {
+    // Reacquire wake lock when returning to app
+    if (AppState.wakeLockManager) {
+      AppState.wakeLockManager.reacquire();
+    }
+  }
+}
+
+// ============================================
+// Video Recording
 // ============================================
 
-class WakeLockManager {
-  constructor() {
-    this.wakeLock = null;
-    this.fallbackVideo = null;
-    this.supported = 'wakeLock' in navigator;
-    this.method = null;
+// Each segment is a self-contained file, small enough to publish through the GitHub API
+const VIDEO_SEGMENT_MS = 60000;
+
+// How often recorded data is flushed to IndexedDB
+const VIDEO_CHUNK_MS = 5000;
+
+// Interval between GPS/accelerometer rows in the video index
+const VIDEO_INDEX_MS = 1000;
+
+// Frame rate of the processed canvas stream that video mode records
+const VIDEO_FRAME_RATE = 30;
+
+// Shown when video mode cannot honour the privacy masks
+const VIDEO_MASKS_UNSUPPORTED = 'This browser cannot apply privacy masks to video - use photo mode or remove the masks';
+
+class VideoRecorder {
+  constructor(stream, sessionId, lastSegment = 0) {
+    this.stream = stream;
+    this.sessionId = sessionId;
+    this.segment = lastSegment;
+    this.recorder = null;
+    this.segmentStart = null;
+    this.segmentTimer = null;
+    this.writes = Promise.resolve();
+    this.onError = null;
+    this.mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4']
+      .find(type => MediaRecorder.isTypeSupported(type)) || '';
   }
   
-  async acquire() {
-    if (this.supported) {
-      try {
-        this.wakeLock = await navigator.wakeLock.request('screen');
-        this.wakeLock.addEventListener('release', () => {
-          console.warn('Wake lock released');
-          this.wakeLock = null;
-          
-          // Auto-reacquire if still recording
-          if (AppState.isRecording && !AppState.isPaused) {
-            console.log('Auto-reacquiring wake lock...');
-            setTimeout(() => this.acquire(), 1000);
-          }
+  get isRecording() {
+    return this.recorder?.state === 'recording';
+  }
+  
+  /**
+   * Seconds into the current segment
+   */
+  get videoTime() {
+    return this.segmentStart ? (Date.now() - this.segmentStart) / 1000 : 0;
+  }
+  
+  start() {
+    this.startSegment();
+    this.segmentTimer = setInterval(() => this.startSegment(), VIDEO_SEGMENT_MS);
+  }
+  
+  /**
+   * Begin a new segment with a fresh MediaRecorder
+   * The previous recorder is stopped after the new one starts so no footage is lost
+   */
+  startSegment() {
+    const previous = this.recorder;
+    const segment = ++this.segment;
+    let chunkIndex = 0;
+    
+    const recorder = new MediaRecorder(this.stream, this.mimeType ? { mimeType: this.mimeType } : undefined);
+    recorder.ondataavailable = (e) => {
+      if (!e.data || e.data.size === 0) return;
+      
+      const chunk = {
+        sessionId: this.sessionId,
+        segment,
+        chunkIndex: chunkIndex++,
+        timestamp: new Date().toISOString(),
+        mimeType: recorder.mimeType || this.mimeType || 'video/webm',
+        sizeBytes: e.data.size
+      };
+      
+      // Chain writes so chunks are stored in order
+      this.writes = this.writes
+        .then(async () => {
+          chunk.data = await e.data.arrayBuffer();
+          await Storage.saveVideoChunk(chunk);
+        })
+        .catch((error) => {
+          console.error('Failed to save video chunk:', error);
+          if (this.onError) this.onError(error);
         });
-        this.method = 'wakeLock';
-        console.log('Wake lock acquired');
-        return { method: 'wakeLock', success: true };
-      } catch (e) {
-        console.warn('Wake lock failed, trying fallback:', e);
-      }
+    };
+    
+    recorder.start(VIDEO_CHUNK_MS);
+    this.recorder = recorder;
+    this.segmentStart = Date.now();
+    
+    if (previous && previous.state !== 'inactive') {
+      previous.stop();
+    }
+  }
+  
+  /**
+   * Stop recording and wait until every chunk is in IndexedDB
+   */
+  async stop() {
+    clearInterval(this.segmentTimer);
+    this.segmentTimer = null;
+    
+    const recorder = this.recorder;
+    this.recorder = null;
+    this.segmentStart = null;
+    
+    if (recorder && recorder.state !== 'inactive') {
+      await new Promise((resolve) => {
+        recorder.addEventListener('stop', resolve, { once: true });
+        recorder.stop();
+      });
     }
     
-    return this.acquireFallback();
+    await this.writes;
+  }
+}
+
+/**
+ * Redraws the preview onto a canvas with privacy masks (and auto-level) applied,
+ * so video mode records the same processed picture as stills
+ */
+class ProcessedVideoSource {
+  constructor(video, cameraStream) {
+    this.video = video;
+    this.frameCanvas = Object.assign(document.createElement('canvas'), {
+      width: video.videoWidth,
+      height: video.videoHeight
+    });
+    this.outputCanvas = Object.assign(document.createElement('canvas'), {
+      width: video.videoWidth,
+      height: video.videoHeight
+    });
+    this.running = false;
+    
+    // Canvas frames plus any audio from the camera
+    this.canvasStream = this.outputCanvas.captureStream(VIDEO_FRAME_RATE);
+    this.stream = new MediaStream([
+      ...this.canvasStream.getVideoTracks(),
+      ...cameraStream.getAudioTracks()
+    ]);
   }
   
-  async acquireFallback() {
-    if (!this.fallbackVideo) {
-      this.fallbackVideo = document.createElement('video');
-      this.fallbackVideo.setAttribute('playsinline', '');
-      this.fallbackVideo.setAttribute('muted', '');
-      this.fallbackVideo.muted = true;
-      this.fallbackVideo.style.cssText = 'position:fixed;top:-1px;left:-1px;width:1px;height:1px;opacity:0;pointer-events:none;';
+  static get supported() {
+    return typeof HTMLCanvasElement !== 'undefined' && 'captureStream' in HTMLCanvasElement.prototype;
+  }
+  
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.drawFrame();
+  }
+  
+  drawFrame() {
+    if (!this.running) return;
+    
+    const width = this.video.videoWidth;
+    const height = this.video.videoHeight;
+    if (width && height) {
+      if (this.frameCanvas.width !== width || this.frameCanvas.height !== height) {
+        this.frameCanvas.width = this.outputCanvas.width = width;
+        this.frameCanvas.height = this.outputCanvas.height = height;
+      }
       
-      // Tiny silent video data URI
-      this.fallbackVideo.src = 'data:video/mp4;base64,AAAAIGZ0eXBtcDQyAAACAGlzb21pc28yYXZjMW1wNDEAAAAIZnJlZQAAA0NtZGF0AAACrQYF//+p3EXpvebZSLeWLNgg2SPu73gyNjQgLSBjb3JlIDE1NyByMjk4MCBkMGEyZTU1IC0gSC4yNjQvTVBFRy00IEFWQyBjb2RlYyAtIENvcHlsZWZ0IDIwMDMtMjAxOCAtIGh0dHA6Ly93d3cudmlkZW9sYW4ub3JnL3gyNjQuaHRtbCAtIG9wdGlvbnM6IGNhYmFjPTEgcmVmPTMgZGVibG9jaz0xOjA6MCBhbmFseXNlPTB4MzoweDExMyBtZT1oZXggc3VibWU9NyBwc3k9MSBwc3lfcmQ9MS4wMDowLjAwIG1peGVkX3JlZj0xIG1lX3JhbmdlPTE2IGNocm9tYV9tZT0xIHRyZWxsaXM9MSA4eDhkY3Q9MSBjcW09MCBkZWFkem9uZT0yMSwxMSBmYXN0X3Bza2lwPTEgY2hyb21hX3FwX29mZnNldD0tMiB0aHJlYWRzPTYgbG9va2FoZWFkX3RocmVhZHM9MSBzbGljZWRfdGhyZWFkcz0wIG5yPTAgZGVjaW1hdGU9MSBpbnRlcmxhY2VkPTAgYmx1cmF5X2NvbXBhdD0wIGNvbnN0cmFpbmVkX2ludHJhPTAgYmZyYW1lcz0zIGJfcHlyYW1pZD0yIGJfYWRhcHQ9MSBiX2JpYXM9MCBkaXJlY3Q9MSB3ZWlnaHRiPTEgb3Blbl9nb3A9MCB3ZWlnaHRwPTIga2V5aW50PTI1MCBrZXlpbnRfbWluPTI1IHNjZW5lY3V0PTQwIGludHJhX3JlZnJlc2g9MCByY19sb29rYWhlYWQ9NDAgcmM9Y3JmIG1idHJlZT0xIGNyZj0yMy4wIHFjb21wPTAuNjAgcXBtaW49MCBxcG1heD02OSBxcHN0ZXA9NCBpcF9yYXRpbz0xLjQwIGFxPTE6MS4wMACAAAABIGWIhAAz//727L4FNf2f0JcRLMXaSnA+KqSAgHc0wAAAAwAAAwAAFgn0IAAABANAAAE1gAAAAwAAU7trAR4AAADLAAAR4QAAABcABECjAYVUDGwaA94AAAADAAAABgAAAAoAERAkk6AAAAMAAAADgAAAABEABECjAYVUDGwaA94AAAADAAAABgAAAAoAERAkk6A=';
-      this.fallbackVideo.loop = true;
-      document.body.appendChild(this.fallbackVideo);
+      const ctx = this.frameCanvas.getContext('2d');
+      ctx.drawImage(this.video, 0, 0, width, height);
+      
+      // Masks go on before leveling, as in the still path
+      const { masks, maskMode } = getPrivacyMasks();
+      FrameProcessing.applyMasks(ctx, width, height, masks, maskMode);
+      
+      const levelAngle = AppState.settings.autoLevel ? getLevelCorrection() : null;
+      FrameProcessing.level(this.frameCanvas, width, height, levelAngle || 0, this.outputCanvas);
     }
     
-    try {
-      await this.fallbackVideo.play();
-      this.method = 'video';
-      return { method: 'video', success: true };
-    } catch (e) {
-      this.method = null;
-      return { method: 'none', success: false, error: e.message };
+    // Redraw on every new camera frame where supported
+    if (this.video.requestVideoFrameCallback) {
+      this.video.requestVideoFrameCallback(() => this.drawFrame());
+    } else {
+      requestAnimationFrame(() => this.drawFrame());
     }
   }
   
-  async release() {
-    if (this.wakeLock) {
-      try {
-        await this.wakeLock.release();
-      } catch (e) {}
-      this.wakeLock = null;
-    }
-    if (this.fallbackVideo) {
-      this.fallbackVideo.pause();
-    }
-    this.method = null;
+  /**
+   * Stop drawing (e.g. while paused); the stream stays usable for start()
+   */
+  stop() {
+    this.running = false;
   }
   
-  async reacquire() {
-    if (this.method === 'wakeLock' && !this.wakeLock) {
-      await this.acquire();
+  close() {
+    this.stop();
+    this.canvasStream.getTracks().forEach(track => track.stop());
+  }
+}
+
+/**
+ * True when video mode would have to record the raw camera stream past privacy masks
+ */
+function videoWouldSkipMasks() {
+  return !ProcessedVideoSource.supported && getPrivacyMasks().masks.length > 0;
+}
+
+function isVideoSession() {
+  return AppState.currentSession?.settings?.recordingMode === 'video';
+}
+
+function startVideoRecording() {
+  if (!('MediaRecorder' in window) || !AppState.cameraStream) {
+    showToast('Video recording not supported on this device', 'error');
+    return;
+  }
+  
+  // Keep numbering segments after a pause or recovery
+  if (!AppState.videoRecorder) {
+    const session = AppState.currentSession;
+    let stream = AppState.cameraStream;
+    
+    // The raw camera stream would skip masks and leveling - only use it when neither applies
+    if (ProcessedVideoSource.supported) {
+      AppState.videoSource = new ProcessedVideoSource(AppState.videoElement, AppState.cameraStream);
+      stream = AppState.videoSource.stream;
+    } else if (videoWouldSkipMasks()) {
+      showToast(VIDEO_MASKS_UNSUPPORTED, 'error');
+      return;
+    } else if (AppState.settings.autoLevel) {
+      console.warn('Canvas capture not supported - recording video without auto-level');
     }
+    
+    AppState.videoRecorder = new VideoRecorder(stream, session.id, session.videoSegments || 0);
+    AppState.videoRecorder.onError = () => showToast('Failed to save video - storage may be full', 'error');
+  }
+  
+  AppState.videoSource?.start();
+  AppState.videoRecorder.start();
+  
+  recordVideoIndex();
+  AppState.videoIndexTimer = setInterval(recordVideoIndex, VIDEO_INDEX_MS);
+}
+
+async function stopVideoRecording() {
+  if (AppState.videoIndexTimer) {
+    clearInterval(AppState.videoIndexTimer);
+    AppState.videoIndexTimer = null;
+  }
+  
+  if (AppState.videoRecorder) {
+    await AppState.videoRecorder.stop();
+  }
+  AppState.videoSource?.stop();
+}
+
+/**
+ * Store one GPS/accelerometer row keyed to the current video time
+ */
+async function recordVideoIndex() {
+  const recorder = AppState.videoRecorder;
+  if (!recorder?.isRecording) return;
+  
+  const gpsReading = AppState.gpsManager?.getCurrentReading() || { available: false };
+  const accelReading = AppState.accelManager?.getCurrentReading();
+  
+  try {
+    await Storage.saveVideoIndexEntry({
+      sessionId: AppState.currentSession.id,
+      segment: recorder.segment,
+      trackSegment: AppState.trackSegment,
+      videoTime: Math.round(recorder.videoTime * 10) / 10,
+      timestamp: new Date().toISOString(),
+      gps: gpsReading.available ? {
+        lat: gpsReading.lat,
+        lng: gpsReading.lng,
+        accuracy: gpsReading.accuracy,
+        stale: gpsReading.stale || false,
+        filtered: gpsReading.filtered,
+        rejected: gpsReading.rejected
+      } : null,
+      accel: accelReading ? {
+        x: Math.round(accelReading.x * 100) / 100,
+        y: Math.round(accelReading.y * 100) / 100,
+        z: Math.round(accelReading.z * 100) / 100
+      } : null
+    });
+  } catch (error) {
+    console.error('Failed to save video index entry:', error);
   }
+  
+  // Keep the mini map and readouts live, as captureFrame does for stills
+  if (gpsReading.available) {
+    CoverageMap.updateLiveTrack(gpsReading.lng, gpsReading.lat);
+    CoverageMap.setCurrentPosition(gpsReading.lat, gpsReading.lng);
+  }
+  updateAccelDisplay(accelReading);
 }
 
 // ============================================
-// Recording Control
+// Point-of-Interest Tags
 // ============================================
 
-async function startRecording(sessionName = null) {
-  if (AppState.isRecording) return;
+// A tag reuses the last capture if it is this recent (ms), otherwise forces a new one
+const TAG_CAPTURE_MAX_AGE = 3000;
+
+/**
+ * Start a tag: pin the position and frame now, then ask for a category
+ */
+function startTag() {
+  if (!AppState.isRecording || AppState.isPaused) return;
+  
+  const gpsReading = AppState.gpsManager?.getCurrentReading() || { available: false };
+  
+  const recent = AppState.lastCapture && Date.now() - AppState.lastCaptureTime <= TAG_CAPTURE_MAX_AGE;
+  const capturePromise = recent
+    ? Promise.resolve(AppState.lastCapture)
+    : captureFrame('tag', { force: true }).then(capture => capture || AppState.lastCapture);
+  
+  AppState.pendingTag = {
+    sessionId: AppState.currentSession.id,
+    timestamp: new Date().toISOString(),
+    gps: gpsReading.available ? {
+      lat: gpsReading.lat,
+      lng: gpsReading.lng,
+      accuracy: gpsReading.accuracy,
+      stale: gpsReading.stale || false
+    } : null,
+    capturePromise
+  };
+  
+  showTagModal();
+}
+
+function showTagModal() {
+  const list = document.getElementById('tag-category-list');
+  list.replaceChildren(...AppState.settings.tagCategories.map(category => {
+    const button = document.createElement('button');
+    button.className = 'btn btn-secondary';
+    button.textContent = category;
+    button.addEventListener('click', () => saveTag(category));
+    return button;
+  }));
+  
+  document.getElementById('tag-note').value = '';
+  document.getElementById('tag-modal').style.display = 'flex';
+}
+
+async function saveTag(category) {
+  const pending = AppState.pendingTag;
+  if (!pending) return;
+  
+  AppState.pendingTag = null;
+  const note = document.getElementById('tag-note').value.trim();
+  hideModal('tag-modal');
   
   try {
-    // Make sure camera is ready
-    if (!AppState.videoElement || AppState.videoElement.videoWidth === 0) {
-      await initCamera();
-      // Wait a bit for camera to stabilize
-      await new Promise(r => setTimeout(r, 500));
-    }
+    const capture = await pending.capturePromise;
     
-    // Create session
-    AppState.currentSession = await Storage.createSession(sessionName, {
-      captureInterval: AppState.settings.captureInterval,
-      imageQuality: AppState.settings.imageQuality,
-      imageMaxWidth: AppState.settings.imageMaxWidth
+    await Storage.saveAnnotation({
+      sessionId: pending.sessionId,
+      category,
+      note,
+      timestamp: pending.timestamp,
+      gps: pending.gps,
+      captureId: capture?.id ?? null,
+      sequenceNum: capture?.sequenceNum ?? null
     });
     
-    AppState.sequenceNum = 0;
-    AppState.startTime = Date.now();
-    AppState.isRecording = true;
-    AppState.isPaused = false;
-    
-    // Initialize sensors
-    AppState.gpsManager = new GPSManager();
-    AppState.gpsManager.onUpdate = updateGPSDisplay;
-    AppState.gpsManager.onStale = () => updateGPSStatus('stale');
-    AppState.gpsManager.onError = (e) => {
-      console.error('GPS error:', e);
-      updateGPSStatus('error');
-    };
-    AppState.gpsManager.start();
+    showToast(`Tagged: ${category}`, 'success');
+  } catch (error) {
+    console.error('Failed to save tag:', error);
+    showToast('Failed to save tag', 'error');
+  }
+}
+
+function cancelTag() {
+  AppState.pendingTag = null;
+  hideModal('tag-modal');
+}
+
+// ============================================
+// Voice Notes
+// ============================================
+
+// Clips shorter than this (ms) are treated as accidental taps
+const MIN_VOICE_NOTE_MS = 500;
+
+class VoiceNoteManager {
+  constructor() {
+    this.supported = 'MediaRecorder' in window && !!navigator.mediaDevices?.getUserMedia;
+    this.stream = null;
+    this.recorder = null;
+    this.chunks = [];
+    this.startTime = null;
+  }
+  
+  get isRecording() {
+    return this.recorder?.state === 'recording';
+  }
+  
+  async start() {
+    if (!this.supported || this.isRecording) return false;
     
-    AppState.accelManager = new AccelerometerManager();
-    const accelPermission = await AppState.accelManager.requestPermission();
-    if (accelPermission) {
-      AppState.accelManager.start();
-      console.log('Accelerometer started');
-    } else {
-      console.warn('Accelerometer permission denied - continuing without it');
+    // The microphone stays open for the session so push-to-talk starts instantly
+    if (!this.stream) {
+      this.stream = await navigator.mediaDevices.getUserMedia({ audio: true, video: false });
     }
     
-    // Acquire wake lock
-    AppState.wakeLockManager = new WakeLockManager();
-    await AppState.wakeLockManager.acquire();
-    
-    // Handle visibility change
-    document.addEventListener('visibilitychange', handleVisibilityChange);
+    const mimeType = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4']
+      .find(type => MediaRecorder.isTypeSupported(type));
     
-    // Start mini map
-    if (CONFIG.MAPBOX_TOKEN) {
-      try {
-        await CoverageMap.initMiniMap('mini-map', CONFIG.MAPBOX_TOKEN);
-        CoverageMap.startLiveTrack();
-        document.getElementById('mini-map-container').style.display = 'block';
-      } catch (e) {
-        console.warn('Mini map failed:', e);
+    this.chunks = [];
+    this.recorder = new MediaRecorder(this.stream, mimeType ? { mimeType } : undefined);
+    this.recorder.ondataavailable = (e) => {
+      if (e.data && e.data.size > 0) {
+        this.chunks.push(e.data);
       }
-    }
-    
-    // Start capture interval
-    startCaptureLoop();
-    
-    // Start recording timer
-    startRecordingTimer();
+    };
+    this.recorder.start();
+    this.startTime = Date.now();
+    return true;
+  }
+  
+  /**
+   * Stop recording and resolve to { blob, durationMs }, or null if nothing was recorded
+   */
+  stop() {
+    if (!this.isRecording) return Promise.resolve(null);
     
-    // Update UI
-    updateRecordingUI();
-    document.getElementById('capacity-bar').classList.add('visible');
+    return new Promise((resolve) => {
+      this.recorder.onstop = () => {
+        const durationMs = Date.now() - this.startTime;
+        const blob = new Blob(this.chunks, { type: this.recorder.mimeType || 'audio/webm' });
+        this.chunks = [];
+        resolve(blob.size > 0 ? { blob, durationMs } : null);
+      };
+      this.recorder.stop();
+    });
+  }
+  
+  release() {
+    if (this.isRecording) {
+      this.recorder.stop();
+    }
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+      this.stream = null;
+    }
+  }
+}
+
+async function startVoiceNote() {
+  if (!AppState.isRecording || AppState.isPaused) return;
+  
+  if (!AppState.voiceNoteManager) {
+    AppState.voiceNoteManager = new VoiceNoteManager();
+  }
+  
+  const gpsReading = AppState.gpsManager?.getCurrentReading() || { available: false };
+  
+  // Record where the clip was started; the capture link is chosen when it finishes
+  const pending = {
+    sessionId: AppState.currentSession.id,
+    timestamp: new Date().toISOString(),
+    sequenceNum: null,
+    captureId: null,
+    gps: gpsReading.available ? {
+      lat: gpsReading.lat,
+      lng: gpsReading.lng,
+      accuracy: gpsReading.accuracy,
+      stale: gpsReading.stale || false
+    } : null
+  };
+  AppState.pendingVoiceNote = pending;
+  
+  try {
+    const started = await AppState.voiceNoteManager.start();
     
-    showToast('Recording started', 'success');
+    // Released before the microphone opened
+    if (started && AppState.pendingVoiceNote !== pending) {
+      await AppState.voiceNoteManager.stop();
+      return;
+    }
     
+    if (!started) {
+      AppState.pendingVoiceNote = null;
+      if (!AppState.voiceNoteManager.supported) {
+        showToast('Audio recording not supported', 'error');
+      }
+      return;
+    }
+    document.getElementById('btn-voice').classList.add('active');
   } catch (error) {
-    console.error('Failed to start recording:', error);
-    showToast('Failed to start recording: ' + error.message, 'error');
-    await stopRecording();
+    console.error('Failed to start voice note:', error);
+    AppState.pendingVoiceNote = null;
+    showToast('Microphone access denied', 'error');
   }
 }
 
-async function pauseRecording() {
-  if (!AppState.isRecording || AppState.isPaused) return;
+async function finishVoiceNote() {
+  const pending = AppState.pendingVoiceNote;
+  if (!pending || !AppState.voiceNoteManager) return;
   
-  AppState.isPaused = true;
+  AppState.pendingVoiceNote = null;
+  document.getElementById('btn-voice').classList.remove('active');
   
-  // Stop capture loop
-  if (AppState.captureInterval) {
-    clearInterval(AppState.captureInterval);
-    AppState.captureInterval = null;
+  const clip = await AppState.voiceNoteManager.stop();
+  if (!clip || clip.durationMs < MIN_VOICE_NOTE_MS) {
+    showToast('Hold to record a voice note', 'info');
+    return;
   }
   
-  // Update session
-  if (AppState.currentSession) {
-    AppState.currentSession.status = 'paused';
-    await Storage.updateSession(AppState.currentSession);
+  try {
+    // Captures taken while talking count too, so look both before and after the start
+    const nearest = await findNearestCapture(pending.sessionId, pending.timestamp);
+    
+    await Storage.saveAudioNote({
+      ...pending,
+      sequenceNum: nearest?.sequenceNum ?? null,
+      captureId: nearest?.id ?? null,
+      durationMs: clip.durationMs,
+      mimeType: clip.blob.type,
+      // ArrayBuffer for the same iOS reasons as images
+      audioData: await clip.blob.arrayBuffer(),
+      sizeBytes: clip.blob.size
+    });
+    showToast(`Voice note saved (${Math.round(clip.durationMs / 1000)}s)`, 'success');
+  } catch (error) {
+    console.error('Failed to save voice note:', error);
+    showToast('Failed to save voice note', 'error');
   }
-  
-  updateRecordingUI();
-  showToast('Recording paused', 'info');
 }
 
-async function resumeRecording() {
-  if (!AppState.currentSession || !AppState.isPaused) return;
-  
-  AppState.isPaused = false;
-  AppState.isRecording = true;
-  
-  // Update session
-  AppState.currentSession.status = 'recording';
-  await Storage.updateSession(AppState.currentSession);
+/**
+ * The capture whose timestamp is closest to `timestamp`, or null if the session has none
+ */
+async function findNearestCapture(sessionId, timestamp) {
+  const time = Date.parse(timestamp);
+  const captures = await Storage.getSessionCaptures(sessionId);
+  
+  let nearest = null;
+  let nearestGap = Infinity;
+  for (const capture of captures) {
+    const gap = Math.abs(Date.parse(capture.timestamp) - time);
+    if (gap < nearestGap) {
+      nearest = capture;
+      nearestGap = gap;
+    }
+  }
+  return nearest;
+}
+
+// ============================================
+// Survey Areas
+// ============================================
+
+// Fixes less accurate than this (m) are ignored for entry/exit decisions
+const GEOFENCE_MAX_ACCURACY = 50;
+
+/**
+ * Normalize loaded GeoJSON to a FeatureCollection of named (Multi)Polygon features
+ */
+function parseSurveyAreas(geojson) {
+  let features = [{ type: 'Feature', geometry: geojson, properties: {} }];
+  if (geojson.type === 'FeatureCollection') {
+    features = geojson.features;
+  } else if (geojson.type === 'Feature') {
+    features = [geojson];
+  }
   
-  // Restart capture loop
-  startCaptureLoop();
+  const areas = features
+    .filter(f => f?.geometry && ['Polygon', 'MultiPolygon'].includes(f.geometry.type))
+    .map((f, i) => ({
+      type: 'Feature',
+      geometry: f.geometry,
+      properties: { name: f.properties?.name || `Area ${i + 1}` }
+    }));
   
-  // Reacquire wake lock
-  if (AppState.wakeLockManager) {
-    await AppState.wakeLockManager.reacquire();
+  if (areas.length === 0) {
+    throw new Error('No polygons found');
   }
-  
-  updateRecordingUI();
-  showToast('Recording resumed', 'success');
+  return { type: 'FeatureCollection', features: areas };
 }
 
-async function stopRecording() {
-  AppState.isRecording = false;
-  AppState.isPaused = false;
-  
-  // Stop capture loop
-  if (AppState.captureInterval) {
-    clearInterval(AppState.captureInterval);
-    AppState.captureInterval = null;
+/**
+ * The loaded survey area containing a point, or null
+ */
+function findSurveyArea(lng, lat) {
+  const areas = AppState.settings.surveyAreas?.features || [];
+  const point = turf.point([lng, lat]);
+  return areas.find(area => turf.booleanPointInPolygon(point, area)) || null;
+}
+
+/**
+ * Meters from a point to the nearest edge of an area
+ */
+function distanceToSurveyArea(lng, lat, area) {
+  const polygons = area.geometry.type === 'Polygon' ? [area.geometry.coordinates] : area.geometry.coordinates;
+  let nearest = Infinity;
+  for (const rings of polygons) {
+    for (const ring of rings) {
+      nearest = Math.min(nearest, turf.pointToLineDistance([lng, lat], turf.lineString(ring), { units: 'meters' }));
+    }
   }
-  
-  // Stop timer
-  if (AppState.recordingTimer) {
-    clearInterval(AppState.recordingTimer);
-    AppState.recordingTimer = null;
+  return nearest;
+}
+
+/**
+ * Which survey area a capture is in; both fields stay null when no areas are loaded
+ */
+function getSurveyAreaStatus(gpsReading) {
+  if (!AppState.settings.surveyAreas || !gpsReading.available) {
+    return { surveyArea: null, outsideSurveyArea: null };
   }
   
-  // Stop sensors
-  if (AppState.gpsManager) {
-    AppState.gpsManager.stop();
-    AppState.gpsManager = null;
+  const position = gpsReading.filtered || gpsReading;
+  const area = findSurveyArea(position.lng, position.lat);
+  return {
+    surveyArea: area ? area.properties.name : null,
+    outsideSurveyArea: !area
+  };
+}
+
+/**
+ * Watches position (also when not recording) for entering and leaving survey areas
+ * Leaving only counts once the device is more than `graceDistance` meters outside
+ */
+class GeofenceMonitor {
+  constructor(graceDistance) {
+    this.graceDistance = graceDistance;
+    this.gpsManager = new GPSManager();
+    this.currentArea = null;
+    this.onEnter = null;
+    this.onExit = null;
   }
   
-  if (AppState.accelManager) {
-    AppState.accelManager.stop();
-    AppState.accelManager = null;
+  start() {
+    this.gpsManager.onUpdate = (position) => this.check(position);
+    return this.gpsManager.start();
   }
   
-  // Release wake lock
-  if (AppState.wakeLockManager) {
-    await AppState.wakeLockManager.release();
-    AppState.wakeLockManager = null;
+  check(position) {
+    if (position.rejected || position.accuracy > GEOFENCE_MAX_ACCURACY) return;
+    
+    const { lat, lng } = position.filtered || position;
+    
+    // Still inside the current area (also where it overlaps another one)
+    if (this.currentArea && turf.booleanPointInPolygon(turf.point([lng, lat]), this.currentArea)) return;
+    
+    // Entered an area, possibly straight from an adjacent one
+    const area = findSurveyArea(lng, lat);
+    if (area) {
+      const left = this.currentArea;
+      this.currentArea = area;
+      if (left && this.onExit) {
+        this.onExit(left);
+      }
+      if (this.onEnter) {
+        this.onEnter(area);
+      }
+      return;
+    }
+    
+    if (this.currentArea && distanceToSurveyArea(lng, lat, this.currentArea) > this.graceDistance) {
+      const left = this.currentArea;
+      this.currentArea = null;
+      if (this.onExit) {
+        this.onExit(left);
+      }
+    }
   }
   
-  // Stop mini map tracking
-  CoverageMap.stopLiveTrack();
-  document.getElementById('mini-map-container').style.display = 'none';
+  stop() {
+    this.gpsManager.stop();
+  }
+}
+
+/**
+ * (Re)start geofencing from the current settings
+ */
+function updateGeofenceMonitor() {
+  if (AppState.geofenceMonitor) {
+    AppState.geofenceMonitor.stop();
+    AppState.geofenceMonitor = null;
+  }
   
-  // Remove visibility handler
-  document.removeEventListener('visibilitychange', handleVisibilityChange);
+  if (!AppState.settings.geofenceAuto || !AppState.settings.surveyAreas) return;
   
-  // Update session
-  if (AppState.currentSession) {
-    AppState.currentSession.status = 'stopped';
-    AppState.currentSession.duration = Math.floor((Date.now() - AppState.startTime) / 1000);
-    await Storage.updateSession(AppState.currentSession);
+  AppState.geofenceMonitor = new GeofenceMonitor(AppState.settings.geofenceGrace);
+  AppState.geofenceMonitor.onEnter = (area) => queueGeofenceAction(() => handleSurveyAreaEnter(area));
+  AppState.geofenceMonitor.onExit = (area) => queueGeofenceAction(() => handleSurveyAreaExit(area));
+  AppState.geofenceMonitor.start();
+}
+
+/**
+ * Run entry/exit handlers one after another, so a session stopped on leaving one area
+ * is finished before the next area's session starts
+ */
+function queueGeofenceAction(action) {
+  AppState.geofenceQueue = AppState.geofenceQueue.then(action).catch(error => {
+    console.error('Survey area start/stop failed:', error);
+    showToast('Survey area start/stop failed: ' + error.message, 'error');
+  });
+}
+
+/**
+ * Start a session named after the area, unless already recording
+ */
+async function handleSurveyAreaEnter(area) {
+  const name = area.properties.name;
+  if (AppState.isRecording) {
+    notifyGeofence(`Entered ${name}`);
+    return;
   }
   
-  updateRecordingUI();
-  showToast('Recording stopped', 'info');
+  await startRecording(`${name} ${new Date().toLocaleDateString()}`);
+  if (!AppState.isRecording) return;
+  
+  AppState.geofenceSessionId = AppState.currentSession.id;
+  AppState.currentSession = await Storage.addSessionEvent(
+    AppState.currentSession.id,
+    { type: 'start', trigger: 'geofence', area: name }
+  );
+  notifyGeofence(`Entered ${name} - recording started`);
 }
 
-function startCaptureLoop() {
-  // Clear any existing interval
-  if (AppState.captureInterval) {
-    clearInterval(AppState.captureInterval);
+/**
+ * Stop the session on leaving, but only if geofencing started it
+ */
+async function handleSurveyAreaExit(area) {
+  const name = area.properties.name;
+  if (!AppState.isRecording || AppState.currentSession?.id !== AppState.geofenceSessionId) {
+    notifyGeofence(`Left ${name}`);
+    return;
   }
   
-  // Capture immediately
-  captureFrame();
-  
-  // Then at interval
-  AppState.captureInterval = setInterval(captureFrame, AppState.settings.captureInterval);
+  AppState.currentSession = await Storage.addSessionEvent(
+    AppState.currentSession.id,
+    { type: 'stop', trigger: 'geofence', area: name }
+  );
+  await stopRecording();
+  AppState.geofenceSessionId = null;
+  notifyGeofence(`Left ${name} - recording stopped`);
 }
 
-async function captureFrame() {
-  if (!AppState.isRecording || AppState.isPaused) return;
+/**
+ * Toast plus vibration and a system notification, since the phone is usually mounted
+ */
+function notifyGeofence(message) {
+  showToast(message, 'info');
   
-  try {
-    // Get image
-    const imageBlob = await captureImage();
-    if (!imageBlob) {
-      console.warn('Failed to capture image, skipping frame');
-      return;
-    }
-    
-    // Convert blob to ArrayBuffer for reliable IndexedDB storage on iOS
-    // Blobs can become "detached" and unreadable on iOS Safari/Chrome
-    let imageData;
+  if (navigator.vibrate) {
+    navigator.vibrate(300);
+  }
+  
+  if ('Notification' in window && Notification.permission === 'granted') {
     try {
-      imageData = await imageBlob.arrayBuffer();
+      new Notification('Street Survey', { body: message });
     } catch (e) {
-      console.error('Failed to convert blob to ArrayBuffer:', e);
-      return;
+      // Some Android browsers only allow notifications from a service worker
+      console.warn('System notification failed:', e);
     }
+  }
+}
+
+async function loadSurveyAreasFile(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+  
+  try {
+    AppState.settings.surveyAreas = parseSurveyAreas(JSON.parse(await file.text()));
+    updateSurveyAreaCount();
+    showToast(`Loaded ${AppState.settings.surveyAreas.features.length} survey areas`, 'success');
     
-    // Get sensor readings
-    const gpsReading = AppState.gpsManager?.getCurrentReading() || { available: false };
-    const accelReading = AppState.accelManager?.getCurrentReading();
-    
-    // Create capture record
-    AppState.sequenceNum++;
-    
-    const capture = {
-      sessionId: AppState.currentSession.id,
-      sequenceNum: AppState.sequenceNum,
-      timestamp: new Date().toISOString(),
-      timezoneOffset: new Date().getTimezoneOffset(),
-      gps: gpsReading.available ? {
-        lat: gpsReading.lat,
-        lng: gpsReading.lng,
-        accuracy: gpsReading.accuracy,
-        timestamp: gpsReading.timestamp,
-        stale: gpsReading.stale || false
-      } : null,
-      accel: accelReading ? {
-        x: Math.round(accelReading.x * 100) / 100,
-        y: Math.round(accelReading.y * 100) / 100,
-        z: Math.round(accelReading.z * 100) / 100
-      } : null,
-      // Store as ArrayBuffer instead of Blob for iOS compatibility
-      imageData: imageData,
-      imageType: imageBlob.type || 'image/jpeg',
-      imageSizeBytes: imageBlob.size,
-      published: false,
-      publishedUrl: null
-    };
-    
-    // Save to IndexedDB
-    await Storage.saveCapture(capture);
-    
-    console.log('Captured frame', AppState.sequenceNum, 'size:', imageBlob.size);
-    
-    // Update mini map
-    if (gpsReading.available) {
-      CoverageMap.updateLiveTrack(gpsReading.lng, gpsReading.lat);
-      CoverageMap.setCurrentPosition(gpsReading.lat, gpsReading.lng);
+    if ('Notification' in window && Notification.permission === 'default') {
+      Notification.requestPermission();
     }
-    
-    // Update UI
-    updateCaptureCounter();
-    updateCapacityBar();
-    updateAccelDisplay(accelReading);
-    
-    // Check quota
-    await checkQuotaWarnings();
-    
   } catch (error) {
-    console.error('Capture failed:', error);
+    showToast('Could not load survey areas: ' + error.message, 'error');
   }
+  
+  event.target.value = '';
 }
 
-function startRecordingTimer() {
-  if (AppState.recordingTimer) {
-    clearInterval(AppState.recordingTimer);
-  }
-  
-  updateRecordingTime();
-  AppState.recordingTimer = setInterval(() => {
-    if (!AppState.isPaused) {
-      updateRecordingTime();
-    }
-  }, 1000);
+function clearSurveyAreas() {
+  AppState.settings.surveyAreas = null;
+  updateSurveyAreaCount();
 }
 
-function handleVisibilityChange() {
-  if (document.visibilityState === 'visible' && AppState.isRecording && !AppState.isPaused) {
-    // Reacquire wake lock when returning to app
-    if (AppState.wakeLockManager) {
-      AppState.wakeLockManager.reacquire();
-    }
-  }
+function updateSurveyAreaCount() {
+  const count = AppState.settings.surveyAreas?.features.length || 0;
+  document.getElementById('survey-area-count').textContent = `${count} area${count === 1 ? '' : 's'}`;
 }
 
 // ============================================
@@ -875,25 +3961,42 @@ async function resumeRecoverySession() {
   session.status = 'recording';
   await Storage.updateSession(session);
   
+  // The app was closed in between, so the route restarts here
+  AppState.trackSegment = (session.trackSegments?.length || 1) - 1;
+  await startTrackSegment('recovery');
+  AppState.gpsLost = false;
+  
   // Now start recording components
   AppState.isRecording = true;
   AppState.isPaused = false;
   
   // Initialize sensors
-  AppState.gpsManager = new GPSManager();
-  AppState.gpsManager.onUpdate = updateGPSDisplay;
+  AppState.gpsManager = new GPSManager(session.id);
+  AppState.gpsManager.onUpdate = handleGPSUpdate;
+  AppState.gpsManager.onStale = handleGPSStale;
   AppState.gpsManager.start();
   
   AppState.accelManager = new AccelerometerManager();
   await AppState.accelManager.requestPermission();
+  startMotionProcessing();
   AppState.accelManager.start();
   
+  AppState.orientationManager = new OrientationManager();
+  if (await AppState.orientationManager.requestPermission()) {
+    AppState.orientationManager.start();
+  }
+  
+  AppState.deadReckoner = new DeadReckoner(AppState.gpsManager, AppState.orientationManager);
+  AppState.deadReckoner.start();
+  
   AppState.wakeLockManager = new WakeLockManager();
   await AppState.wakeLockManager.acquire();
   
   document.addEventListener('visibilitychange', handleVisibilityChange);
   
   startCaptureLoop();
+  await startBatteryMonitor();
+  startAutoPause();
   startRecordingTimer();
   updateRecordingUI();
   document.getElementById('capacity-bar').classList.add('visible');
@@ -1146,6 +4249,10 @@ function createSessionItem(session) {
         <span class="btn-icon">💾</span>
         <span class="btn-label">Export</span>
       </button>
+      <button class="btn btn-secondary session-gpx" data-id="${session.id}">
+        <span class="btn-icon">🗺️</span>
+        <span class="btn-label">GPX</span>
+      </button>
       <button class="btn btn-danger session-delete" data-id="${session.id}">
         <span class="btn-icon">🗑️</span>
       </button>
@@ -1168,6 +4275,11 @@ function createSessionItem(session) {
     exportBtn.addEventListener('click', () => exportSession(session.id));
   }
   
+  const gpxBtn = item.querySelector('.session-gpx');
+  if (gpxBtn) {
+    gpxBtn.addEventListener('click', () => exportSessionTrack(session.id));
+  }
+  
   const deleteBtn = item.querySelector('.session-delete');
   if (deleteBtn) {
     deleteBtn.addEventListener('click', () => confirmDeleteSession(session.id));
@@ -1198,7 +4310,10 @@ async function publishSession(sessionId) {
       token: CONFIG.GITHUB_TOKEN,
       repo: CONFIG.GITHUB_REPO,
       branch: CONFIG.GITHUB_BRANCH,
-      contributor: CONFIG.CONTRIBUTOR
+      contributor: CONFIG.CONTRIBUTOR,
+      coverageSource: AppState.settings.coverageSource,
+      coverageGapDistance: AppState.settings.coverageGapDistance,
+      coverageGapTime: AppState.settings.coverageGapTime
     }, {
       onProgress: updatePublishProgress,
       onComplete: onPublishComplete,
@@ -1224,6 +4339,15 @@ async function exportSession(sessionId) {
   }
 }
 
+async function exportSessionTrack(sessionId) {
+  try {
+    const result = await Publisher.exportSessionAsGPX(sessionId);
+    showToast(`Exported ${result.pointCount} track points`, 'success');
+  } catch (error) {
+    showToast('GPX export failed: ' + error.message, 'error');
+  }
+}
+
 function confirmDeleteSession(sessionId) {
   AppState.sessionToDelete = sessionId;
   document.getElementById('delete-modal').style.display = 'flex';
@@ -1326,10 +4450,25 @@ async function showMapView() {
     }
     
     // Add local sessions
-    await CoverageMap.addLocalSessions();
+    await CoverageMap.addLocalSessions(AppState.settings.coverageSource, {
+      maxDistance: AppState.settings.coverageGapDistance,
+      maxSeconds: AppState.settings.coverageGapTime
+    });
   }
 }
 
+/**
+ * Switch the coverage map between publish status and roughness colors
+ */
+function toggleRoughnessColors() {
+  const button = document.getElementById('btn-map-roughness');
+  const enabled = !button.classList.contains('active');
+  
+  button.classList.toggle('active', enabled);
+  document.getElementById('legend-roughness').style.display = enabled ? 'flex' : 'none';
+  CoverageMap.setRoughnessMode(enabled);
+}
+
 function hideMapView() {
   document.getElementById('map-view').classList.remove('active');
   document.getElementById('camera-view').classList.add('active');
@@ -1421,9 +4560,22 @@ function initializeUI() {
     document.getElementById('session-name').value = '';
   });
   
-  document.getElementById('btn-pause').addEventListener('click', pauseRecording);
+  document.getElementById('btn-pause').addEventListener('click', () => pauseRecording());
   document.getElementById('btn-stop').addEventListener('click', stopRecording);
-  document.getElementById('btn-resume').addEventListener('click', resumeRecording);
+  document.getElementById('btn-tag').addEventListener('click', startTag);
+  document.getElementById('btn-cancel-tag').addEventListener('click', cancelTag);
+  
+  // Push-to-talk voice notes
+  const voiceButton = document.getElementById('btn-voice');
+  voiceButton.addEventListener('pointerdown', (e) => {
+    e.preventDefault();
+    startVoiceNote();
+  });
+  ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+    voiceButton.addEventListener(type, finishVoiceNote);
+  });
+  voiceButton.addEventListener('contextmenu', (e) => e.preventDefault());
+  document.getElementById('btn-resume').addEventListener('click', () => resumeRecording());
   document.getElementById('btn-stop-paused').addEventListener('click', stopRecording);
   
   document.getElementById('btn-new-session').addEventListener('click', () => {
@@ -1449,6 +4601,7 @@ function initializeUI() {
   
   document.getElementById('btn-map').addEventListener('click', showMapView);
   document.getElementById('map-back').addEventListener('click', hideMapView);
+  document.getElementById('btn-map-roughness').addEventListener('click', toggleRoughnessColors);
   document.getElementById('btn-record-here').addEventListener('click', () => {
     hideMapView();
     document.getElementById('session-name-modal').style.display = 'flex';
@@ -1458,6 +4611,35 @@ function initializeUI() {
   document.getElementById('settings-back').addEventListener('click', () => hidePanel('settings-panel'));
   document.getElementById('btn-save-settings').addEventListener('click', saveSettings);
   
+  // Camera controls
+  document.getElementById('btn-settings').addEventListener('click', async () => {
+    await listCameras();
+    renderCameraControls();
+  });
+  document.getElementById('camera-device').addEventListener('change', (e) => switchCamera(e.target.value));
+  document.getElementById('btn-save-camera-profile').addEventListener('click', saveCameraProfile);
+  
+  // Survey areas
+  document.getElementById('btn-load-survey-areas').addEventListener('click', () => {
+    document.getElementById('survey-areas-file').click();
+  });
+  document.getElementById('survey-areas-file').addEventListener('change', loadSurveyAreasFile);
+  document.getElementById('btn-clear-survey-areas').addEventListener('click', clearSurveyAreas);
+  
+  // Privacy mask editor
+  document.getElementById('btn-edit-masks').addEventListener('click', startMaskEditor);
+  document.getElementById('mask-overlay').addEventListener('click', addMaskPoint);
+  document.getElementById('btn-mask-close').addEventListener('click', closeMaskPolygon);
+  document.getElementById('btn-mask-undo').addEventListener('click', undoMaskPoint);
+  document.getElementById('btn-mask-clear').addEventListener('click', clearMasks);
+  document.getElementById('btn-mask-cancel').addEventListener('click', () => finishMaskEditor(false));
+  document.getElementById('btn-mask-done').addEventListener('click', () => finishMaskEditor(true));
+  window.addEventListener('resize', drawMaskOverlay);
+  ['camera-focus-mode', 'camera-exposure-mode', 'camera-exposure-compensation', 'camera-zoom', 'camera-torch'].forEach(id => {
+    // Preview changes live; they are kept only once the profile is saved
+    document.getElementById(id).addEventListener('change', () => applyCameraProfile(readCameraControls()));
+  });
+  
   // Sessions panel
   document.getElementById('btn-clear-all').addEventListener('click', clearAllSessions);
   
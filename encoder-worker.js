@@ -0,0 +1,74 @@
+/**
+ * Encoder Worker - Resizes, analyzes and JPEG-encodes frames off the main thread
+ * Receives an ImageBitmap and returns an ArrayBuffer ready for IndexedDB
+ * Privacy masks are burned in before anything is encoded
+ */
+
+importScripts('frame-processing.js');
+
+self.onmessage = async (event) => {
+  const { id, bitmap, ...options } = event.data;
+  
+  try {
+    const result = await encodeFrame(bitmap, options);
+    self.postMessage({ id, ...result }, [result.buffer]);
+  } catch (error) {
+    self.postMessage({ id, error: error.message || String(error) });
+  } finally {
+    bitmap.close();
+  }
+};
+
+/**
+ * Scale the frame to maxWidth, mask and level it, score it and encode it as JPEG
+ */
+async function encodeFrame(bitmap, { maxWidth, quality, masks, maskMode, levelAngle }) {
+  const scale = Math.min(1, maxWidth / bitmap.width);
+  const width = Math.round(bitmap.width * scale);
+  const height = Math.round(bitmap.height * scale);
+  
+  let canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  
+  // Masked pixels must never leave the worker
+  FrameProcessing.applyMasks(ctx, width, height, masks, maskMode);
+  
+  if (levelAngle) {
+    canvas = FrameProcessing.level(canvas, width, height, levelAngle);
+  }
+  
+  const analysis = analyzeCanvas(canvas);
+  
+  const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality });
+  if (!blob || blob.size < 1000) {
+    throw new Error('Encoded image is empty');
+  }
+  
+  return {
+    buffer: await blob.arrayBuffer(),
+    type: blob.type || 'image/jpeg',
+    size: blob.size,
+    width,
+    height,
+    analysis
+  };
+}
+
+/**
+ * Quality scores and perceptual hash on a downscaled copy
+ */
+function analyzeCanvas(canvas) {
+  const sampleWidth = Math.min(FrameProcessing.SAMPLE_WIDTH, canvas.width);
+  const sampleHeight = Math.max(1, Math.round(canvas.height * (sampleWidth / canvas.width)));
+  
+  const sample = new OffscreenCanvas(sampleWidth, sampleHeight);
+  const ctx = sample.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(canvas, 0, 0, sampleWidth, sampleHeight);
+  
+  const pixels = ctx.getImageData(0, 0, sampleWidth, sampleHeight);
+  return {
+    quality: FrameProcessing.measureQuality(pixels),
+    hash: FrameProcessing.computeHash(pixels)
+  };
+}
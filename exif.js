@@ -0,0 +1,398 @@
+/**
+ * EXIF Module - Writes GPS, timestamp and device tags into captured JPEGs
+ * Canvas re-encoding strips all metadata, so we build a minimal APP1 segment ourselves
+ */
+
+// TIFF field types
+const EXIF_TYPE = {
+  BYTE: 1,
+  ASCII: 2,
+  SHORT: 3,
+  LONG: 4,
+  RATIONAL: 5,
+  UNDEFINED: 7
+};
+
+const EXIF_TYPE_SIZE = {
+  [EXIF_TYPE.BYTE]: 1,
+  [EXIF_TYPE.ASCII]: 1,
+  [EXIF_TYPE.SHORT]: 2,
+  [EXIF_TYPE.LONG]: 4,
+  [EXIF_TYPE.RATIONAL]: 8,
+  [EXIF_TYPE.UNDEFINED]: 1
+};
+
+// Tags we write
+const EXIF_TAG = {
+  // IFD0
+  MAKE: 0x010F,
+  MODEL: 0x0110,
+  ORIENTATION: 0x0112,
+  DATE_TIME: 0x0132,
+  EXIF_IFD: 0x8769,
+  GPS_IFD: 0x8825,
+  
+  // Exif IFD
+  EXIF_VERSION: 0x9000,
+  DATE_TIME_ORIGINAL: 0x9003,
+  OFFSET_TIME_ORIGINAL: 0x9011,
+  SUBSEC_TIME_ORIGINAL: 0x9291,
+  
+  // GPS IFD
+  GPS_VERSION_ID: 0x0000,
+  GPS_LATITUDE_REF: 0x0001,
+  GPS_LATITUDE: 0x0002,
+  GPS_LONGITUDE_REF: 0x0003,
+  GPS_LONGITUDE: 0x0004,
+  GPS_ALTITUDE_REF: 0x0005,
+  GPS_ALTITUDE: 0x0006,
+  GPS_TIME_STAMP: 0x0007,
+  GPS_SPEED_REF: 0x000C,
+  GPS_SPEED: 0x000D,
+  GPS_TRACK_REF: 0x000E,
+  GPS_TRACK: 0x000F,
+  GPS_IMG_DIRECTION_REF: 0x0010,
+  GPS_IMG_DIRECTION: 0x0011,
+  GPS_MAP_DATUM: 0x0012,
+  GPS_DATE_STAMP: 0x001D,
+  GPS_H_POSITIONING_ERROR: 0x001F
+};
+
+// ============================================
+// Tag Building
+// ============================================
+
+/**
+ * Build the IFD entries for a capture record
+ * Returns { ifd0, exif, gps } arrays of { tag, type, value }
+ */
+function buildExifEntries(capture) {
+  const localTime = toExifLocalTime(capture.timestamp, capture.timezoneOffset);
+  const millis = new Date(capture.timestamp).getUTCMilliseconds();
+  
+  const ifd0 = [];
+  if (capture.device?.make) {
+    ifd0.push({ tag: EXIF_TAG.MAKE, type: EXIF_TYPE.ASCII, value: capture.device.make });
+  }
+  if (capture.device?.model) {
+    ifd0.push({ tag: EXIF_TAG.MODEL, type: EXIF_TYPE.ASCII, value: capture.device.model });
+  }
+  // Canvas output is always upright
+  ifd0.push({ tag: EXIF_TAG.ORIENTATION, type: EXIF_TYPE.SHORT, value: [1] });
+  ifd0.push({ tag: EXIF_TAG.DATE_TIME, type: EXIF_TYPE.ASCII, value: localTime });
+  
+  const exif = [
+    { tag: EXIF_TAG.EXIF_VERSION, type: EXIF_TYPE.UNDEFINED, value: [0x30, 0x32, 0x33, 0x32] }, // "0232"
+    { tag: EXIF_TAG.DATE_TIME_ORIGINAL, type: EXIF_TYPE.ASCII, value: localTime },
+    { tag: EXIF_TAG.OFFSET_TIME_ORIGINAL, type: EXIF_TYPE.ASCII, value: toExifOffset(capture.timezoneOffset) },
+    { tag: EXIF_TAG.SUBSEC_TIME_ORIGINAL, type: EXIF_TYPE.ASCII, value: millis.toString().padStart(3, '0') }
+  ];
+  
+  const gps = [];
+  const pos = capture.gps;
+  if (pos && Number.isFinite(pos.lat) && Number.isFinite(pos.lng)) {
+    gps.push({ tag: EXIF_TAG.GPS_VERSION_ID, type: EXIF_TYPE.BYTE, value: [2, 3, 0, 0] });
+    gps.push({ tag: EXIF_TAG.GPS_LATITUDE_REF, type: EXIF_TYPE.ASCII, value: pos.lat >= 0 ? 'N' : 'S' });
+    gps.push({ tag: EXIF_TAG.GPS_LATITUDE, type: EXIF_TYPE.RATIONAL, value: toDMS(pos.lat) });
+    gps.push({ tag: EXIF_TAG.GPS_LONGITUDE_REF, type: EXIF_TYPE.ASCII, value: pos.lng >= 0 ? 'E' : 'W' });
+    gps.push({ tag: EXIF_TAG.GPS_LONGITUDE, type: EXIF_TYPE.RATIONAL, value: toDMS(pos.lng) });
+    
+    if (Number.isFinite(pos.altitude)) {
+      gps.push({ tag: EXIF_TAG.GPS_ALTITUDE_REF, type: EXIF_TYPE.BYTE, value: [pos.altitude < 0 ? 1 : 0] });
+      gps.push({ tag: EXIF_TAG.GPS_ALTITUDE, type: EXIF_TYPE.RATIONAL, value: [toRational(Math.abs(pos.altitude), 100)] });
+    }
+    
+    if (Number.isFinite(pos.timestamp)) {
+      const fix = new Date(pos.timestamp);
+      gps.push({
+        tag: EXIF_TAG.GPS_TIME_STAMP,
+        type: EXIF_TYPE.RATIONAL,
+        value: [[fix.getUTCHours(), 1], [fix.getUTCMinutes(), 1], [fix.getUTCSeconds() * 1000 + fix.getUTCMilliseconds(), 1000]]
+      });
+    }
+    
+    if (Number.isFinite(pos.speed)) {
+      // m/s -> km/h
+      gps.push({ tag: EXIF_TAG.GPS_SPEED_REF, type: EXIF_TYPE.ASCII, value: 'K' });
+      gps.push({ tag: EXIF_TAG.GPS_SPEED, type: EXIF_TYPE.RATIONAL, value: [toRational(pos.speed * 3.6, 100)] });
+    }
+    
+    if (Number.isFinite(pos.heading)) {
+      gps.push({ tag: EXIF_TAG.GPS_TRACK_REF, type: EXIF_TYPE.ASCII, value: 'T' });
+      gps.push({ tag: EXIF_TAG.GPS_TRACK, type: EXIF_TYPE.RATIONAL, value: [toRational(pos.heading, 100)] });
+    }
+    
+    // Camera direction: compass (magnetic) when available, else direction of travel
+    const compassHeading = capture.compass?.heading;
+    if (Number.isFinite(compassHeading)) {
+      gps.push({ tag: EXIF_TAG.GPS_IMG_DIRECTION_REF, type: EXIF_TYPE.ASCII, value: 'M' });
+      gps.push({ tag: EXIF_TAG.GPS_IMG_DIRECTION, type: EXIF_TYPE.RATIONAL, value: [toRational(compassHeading, 100)] });
+    } else if (Number.isFinite(pos.heading)) {
+      gps.push({ tag: EXIF_TAG.GPS_IMG_DIRECTION_REF, type: EXIF_TYPE.ASCII, value: 'T' });
+      gps.push({ tag: EXIF_TAG.GPS_IMG_DIRECTION, type: EXIF_TYPE.RATIONAL, value: [toRational(pos.heading, 100)] });
+    }
+    
+    gps.push({ tag: EXIF_TAG.GPS_MAP_DATUM, type: EXIF_TYPE.ASCII, value: 'WGS-84' });
+    
+    if (Number.isFinite(pos.timestamp)) {
+      const fix = new Date(pos.timestamp);
+      const dateStamp = [
+        fix.getUTCFullYear(),
+        (fix.getUTCMonth() + 1).toString().padStart(2, '0'),
+        fix.getUTCDate().toString().padStart(2, '0')
+      ].join(':');
+      gps.push({ tag: EXIF_TAG.GPS_DATE_STAMP, type: EXIF_TYPE.ASCII, value: dateStamp });
+    }
+    
+    if (Number.isFinite(pos.accuracy)) {
+      gps.push({ tag: EXIF_TAG.GPS_H_POSITIONING_ERROR, type: EXIF_TYPE.RATIONAL, value: [toRational(pos.accuracy, 100)] });
+    }
+  }
+  
+  return { ifd0, exif, gps };
+}
+
+/**
+ * Format an ISO timestamp as EXIF local time ("YYYY:MM:DD HH:MM:SS")
+ * timezoneOffset is in minutes, as returned by Date.getTimezoneOffset()
+ */
+function toExifLocalTime(isoTimestamp, timezoneOffset = 0) {
+  const local = new Date(Date.parse(isoTimestamp) - timezoneOffset * 60000);
+  const pad = (n) => n.toString().padStart(2, '0');
+  
+  return `${local.getUTCFullYear()}:${pad(local.getUTCMonth() + 1)}:${pad(local.getUTCDate())} ` +
+    `${pad(local.getUTCHours())}:${pad(local.getUTCMinutes())}:${pad(local.getUTCSeconds())}`;
+}
+
+/**
+ * Format a Date.getTimezoneOffset() value as an EXIF offset ("+02:00")
+ */
+function toExifOffset(timezoneOffset = 0) {
+  const sign = timezoneOffset <= 0 ? '+' : '-';
+  const abs = Math.abs(timezoneOffset);
+  const hours = Math.floor(abs / 60).toString().padStart(2, '0');
+  const minutes = (abs % 60).toString().padStart(2, '0');
+  return `${sign}${hours}:${minutes}`;
+}
+
+/**
+ * Convert decimal degrees to degrees/minutes/seconds rationals
+ */
+function toDMS(decimal) {
+  const abs = Math.abs(decimal);
+  const degrees = Math.floor(abs);
+  const minutesFloat = (abs - degrees) * 60;
+  const minutes = Math.floor(minutesFloat);
+  const seconds = (minutesFloat - minutes) * 60;
+  
+  return [[degrees, 1], [minutes, 1], toRational(seconds, 10000)];
+}
+
+function toRational(value, denominator) {
+  return [Math.round(value * denominator), denominator];
+}
+
+// ============================================
+// TIFF Encoding
+// ============================================
+
+/**
+ * Convert an entry value to a flat list of numbers and a component count
+ */
+function normalizeEntryValue(entry) {
+  if (entry.type === EXIF_TYPE.ASCII) {
+    const bytes = Array.from(entry.value, ch => ch.charCodeAt(0) & 0x7F);
+    bytes.push(0); // NUL terminator
+    return { count: bytes.length, values: bytes };
+  }
+  if (entry.type === EXIF_TYPE.RATIONAL) {
+    return { count: entry.value.length, values: entry.value.flat() };
+  }
+  return { count: entry.value.length, values: entry.value };
+}
+
+/**
+ * Size in bytes of an IFD including its out-of-line value area
+ */
+function ifdByteLength(entries) {
+  let length = 2 + entries.length * 12 + 4;
+  for (const entry of entries) {
+    const { count } = normalizeEntryValue(entry);
+    const size = count * EXIF_TYPE_SIZE[entry.type];
+    if (size > 4) {
+      length += size + (size % 2); // Keep word alignment
+    }
+  }
+  return length;
+}
+
+/**
+ * Write one IFD at offset, returns nothing - data area follows the entry table
+ */
+function writeIfd(view, offset, entries) {
+  const sorted = [...entries].sort((a, b) => a.tag - b.tag);
+  let dataOffset = offset + 2 + sorted.length * 12 + 4;
+  
+  view.setUint16(offset, sorted.length, true);
+  
+  sorted.forEach((entry, i) => {
+    const entryOffset = offset + 2 + i * 12;
+    const { count, values } = normalizeEntryValue(entry);
+    const size = count * EXIF_TYPE_SIZE[entry.type];
+    
+    view.setUint16(entryOffset, entry.tag, true);
+    view.setUint16(entryOffset + 2, entry.type, true);
+    view.setUint32(entryOffset + 4, count, true);
+    
+    let valueOffset = entryOffset + 8;
+    if (size > 4) {
+      view.setUint32(entryOffset + 8, dataOffset, true);
+      valueOffset = dataOffset;
+      dataOffset += size + (size % 2);
+    }
+    
+    writeEntryValues(view, valueOffset, entry.type, values);
+  });
+  
+  // No next IFD
+  view.setUint32(offset + 2 + sorted.length * 12, 0, true);
+}
+
+function writeEntryValues(view, offset, type, values) {
+  values.forEach((value, i) => {
+    switch (type) {
+      case EXIF_TYPE.SHORT:
+        view.setUint16(offset + i * 2, value, true);
+        break;
+      case EXIF_TYPE.LONG:
+      case EXIF_TYPE.RATIONAL:
+        view.setUint32(offset + i * 4, value, true);
+        break;
+      default:
+        view.setUint8(offset + i, value);
+    }
+  });
+}
+
+/**
+ * Encode the entries as a little-endian TIFF structure
+ */
+function encodeTiff({ ifd0, exif, gps }) {
+  const root = [...ifd0, { tag: EXIF_TAG.EXIF_IFD, type: EXIF_TYPE.LONG, value: [0] }];
+  if (gps.length > 0) {
+    root.push({ tag: EXIF_TAG.GPS_IFD, type: EXIF_TYPE.LONG, value: [0] });
+  }
+  
+  // Lay out IFD0, then Exif IFD, then GPS IFD
+  const ifd0Offset = 8;
+  const exifOffset = ifd0Offset + ifdByteLength(root);
+  const gpsOffset = exifOffset + ifdByteLength(exif);
+  const totalLength = gpsOffset + (gps.length > 0 ? ifdByteLength(gps) : 0);
+  
+  root.find(e => e.tag === EXIF_TAG.EXIF_IFD).value = [exifOffset];
+  if (gps.length > 0) {
+    root.find(e => e.tag === EXIF_TAG.GPS_IFD).value = [gpsOffset];
+  }
+  
+  const buffer = new ArrayBuffer(totalLength);
+  const view = new DataView(buffer);
+  
+  // Header: "II", 42, offset of IFD0
+  view.setUint16(0, 0x4949, false);
+  view.setUint16(2, 42, true);
+  view.setUint32(4, ifd0Offset, true);
+  
+  writeIfd(view, ifd0Offset, root);
+  writeIfd(view, exifOffset, exif);
+  if (gps.length > 0) {
+    writeIfd(view, gpsOffset, gps);
+  }
+  
+  return new Uint8Array(buffer);
+}
+
+// ============================================
+// JPEG Insertion
+// ============================================
+
+/**
+ * Insert an EXIF APP1 segment into a JPEG, replacing any existing one
+ * Returns a new ArrayBuffer
+ */
+function insertExifSegment(jpegBuffer, tiffBytes) {
+  const bytes = new Uint8Array(jpegBuffer);
+  
+  if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+    throw new Error('Not a JPEG image');
+  }
+  
+  const segmentLength = 2 + 6 + tiffBytes.length;
+  if (segmentLength > 0xFFFF) {
+    throw new Error('EXIF data too large');
+  }
+  
+  // Build APP1: marker, length, "Exif\0\0", TIFF
+  const app1 = new Uint8Array(2 + segmentLength);
+  app1.set([0xFF, 0xE1, segmentLength >> 8, segmentLength & 0xFF, 0x45, 0x78, 0x69, 0x66, 0x00, 0x00]);
+  app1.set(tiffBytes, 10);
+  
+  // Walk the header segments up to the start of scan
+  const kept = [];
+  let insertAt = 0;
+  let offset = 2;
+  while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+    const marker = bytes[offset + 1];
+    if (marker === 0xDA) break; // SOS - compressed data follows
+    
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    const end = offset + 2 + length;
+    const isExif = marker === 0xE1 &&
+      bytes[offset + 4] === 0x45 && bytes[offset + 5] === 0x78 &&
+      bytes[offset + 6] === 0x69 && bytes[offset + 7] === 0x66;
+    
+    if (!isExif) {
+      kept.push(bytes.subarray(offset, end));
+      // Keep a leading JFIF APP0 segment in front of the EXIF block
+      if (marker === 0xE0 && kept.length === 1) {
+        insertAt = 1;
+      }
+    }
+    offset = end;
+  }
+  
+  const parts = [
+    bytes.subarray(0, 2),
+    ...kept.slice(0, insertAt),
+    app1,
+    ...kept.slice(insertAt),
+    bytes.subarray(offset)
+  ];
+  
+  const output = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let position = 0;
+  for (const part of parts) {
+    output.set(part, position);
+    position += part.length;
+  }
+  
+  return output.buffer;
+}
+
+/**
+ * Tag a JPEG with the EXIF data for a capture record
+ */
+function tagCaptureImage(jpegBuffer, capture) {
+  const tiff = encodeTiff(buildExifEntries(capture));
+  return insertExifSegment(jpegBuffer, tiff);
+}
+
+// ============================================
+// Export for module usage
+// ============================================
+
+window.Exif = {
+  buildEntries: buildExifEntries,
+  encodeTiff,
+  insert: insertExifSegment,
+  tagCapture: tagCaptureImage
+};
@@ -0,0 +1,204 @@
+/**
+ * Frame Processing Module - Pixel-level analysis and masking of captured frames
+ * Plain functions on ImageData and 2D contexts so they can run on the main thread or in a worker
+ */
+
+// Width of the downscaled copy used for analysis
+const FRAME_SAMPLE_WIDTH = 160;
+
+/**
+ * Convert RGBA ImageData to an array of luma values (0-255)
+ */
+function toGrayscale(imageData) {
+  const { data, width, height } = imageData;
+  const gray = new Float32Array(width * height);
+  
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    // Rec. 601 luma
+    gray[i] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+  }
+  
+  return gray;
+}
+
+/**
+ * Score a frame for sharpness and exposure
+ * sharpness: variance of the 4-neighbour Laplacian (low = blurry)
+ * brightness: mean luma 0-255 (low = dark/black frame)
+ */
+function measureFrameQuality(imageData) {
+  const { width, height } = imageData;
+  const gray = toGrayscale(imageData);
+  
+  let lumaSum = 0;
+  for (let i = 0; i < gray.length; i++) {
+    lumaSum += gray[i];
+  }
+  
+  let sum = 0;
+  let sumSq = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const laplacian = gray[i - width] + gray[i + width] + gray[i - 1] + gray[i + 1] - 4 * gray[i];
+      sum += laplacian;
+      sumSq += laplacian * laplacian;
+      count++;
+    }
+  }
+  
+  const mean = count > 0 ? sum / count : 0;
+  const variance = count > 0 ? sumSq / count - mean * mean : 0;
+  
+  return {
+    sharpness: Math.round(variance * 10) / 10,
+    brightness: Math.round((lumaSum / gray.length) * 10) / 10
+  };
+}
+
+/**
+ * Difference hash (dHash) - 64-bit perceptual hash as a hex string
+ * Shrinks the frame to 9x8 and records whether each pixel is brighter than its right neighbour
+ */
+function computeDHash(imageData) {
+  const { width, height } = imageData;
+  const gray = toGrayscale(imageData);
+  const cols = 9;
+  const rows = 8;
+  
+  // Box-average down to 9x8
+  const small = new Float32Array(cols * rows);
+  for (let row = 0; row < rows; row++) {
+    const y0 = Math.floor((row * height) / rows);
+    const y1 = Math.max(y0 + 1, Math.floor(((row + 1) * height) / rows));
+    for (let col = 0; col < cols; col++) {
+      const x0 = Math.floor((col * width) / cols);
+      const x1 = Math.max(x0 + 1, Math.floor(((col + 1) * width) / cols));
+      let sum = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          sum += gray[y * width + x];
+        }
+      }
+      small[row * cols + col] = sum / ((y1 - y0) * (x1 - x0));
+    }
+  }
+  
+  // 64 bits, built as 16 hex nibbles
+  let hex = '';
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols - 1; col += 4) {
+      let nibble = 0;
+      for (let bit = 0; bit < 4; bit++) {
+        const i = row * cols + col + bit;
+        nibble = (nibble << 1) | (small[i] > small[i + 1] ? 1 : 0);
+      }
+      hex += nibble.toString(16);
+    }
+  }
+  
+  return hex;
+}
+
+/**
+ * Number of differing bits between two hex hashes
+ */
+function hashDistance(a, b) {
+  if (!a || !b || a.length !== b.length) return Infinity;
+  
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Scratch canvas that works on the main thread and in a worker
+ */
+function createCanvas(width, height) {
+  if (typeof document !== 'undefined') {
+    return Object.assign(document.createElement('canvas'), { width, height });
+  }
+  return new OffscreenCanvas(width, height);
+}
+
+/**
+ * Black out or blur privacy mask polygons in place
+ * Points are normalized (0-1) to the frame so masks work at any output size
+ */
+function applyPrivacyMasks(ctx, width, height, masks, mode = 'black') {
+  if (!masks || masks.length === 0) return;
+  
+  ctx.save();
+  ctx.beginPath();
+  for (const points of masks) {
+    if (points.length < 3) continue;
+    points.forEach(([x, y], i) => {
+      if (i === 0) {
+        ctx.moveTo(x * width, y * height);
+      } else {
+        ctx.lineTo(x * width, y * height);
+      }
+    });
+    ctx.closePath();
+  }
+  ctx.clip();
+  
+  if (mode === 'blur') {
+    // Shrink to a few pixels and stretch back so no detail survives
+    const smallWidth = Math.max(1, Math.round(width / 40));
+    const smallHeight = Math.max(1, Math.round(height / 40));
+    const small = createCanvas(smallWidth, smallHeight);
+    small.getContext('2d').drawImage(ctx.canvas, 0, 0, smallWidth, smallHeight);
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(small, 0, 0, width, height);
+  } else {
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, width, height);
+  }
+  
+  ctx.restore();
+}
+
+/**
+ * Rotate a frame by `degrees` (clockwise) and zoom just enough to hide the empty corners
+ * Returns a new canvas of the same size, or draws into `output` when given (video frames)
+ */
+function levelFrame(source, width, height, degrees, output = createCanvas(width, height)) {
+  const radians = (degrees * Math.PI) / 180;
+  const cos = Math.abs(Math.cos(radians));
+  const sin = Math.abs(Math.sin(radians));
+  
+  // Smallest zoom where the rotated frame still covers the whole output
+  const zoom = Math.max(cos + (height / width) * sin, (width / height) * sin + cos);
+  
+  const ctx = output.getContext('2d');
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.translate(width / 2, height / 2);
+  ctx.rotate(radians);
+  ctx.scale(zoom, zoom);
+  ctx.drawImage(source, -width / 2, -height / 2, width, height);
+  
+  return output;
+}
+
+// ============================================
+// Export for module usage
+// ============================================
+
+// `self` is the window on the main thread and the global scope in a worker
+self.FrameProcessing = {
+  SAMPLE_WIDTH: FRAME_SAMPLE_WIDTH,
+  toGrayscale,
+  measureQuality: measureFrameQuality,
+  computeHash: computeDHash,
+  hashDistance,
+  applyMasks: applyPrivacyMasks,
+  level: levelFrame
+};
@@ -8,6 +8,9 @@ let coverageMap = null;
 let miniMap = null;
 let liveTrack = null;
 
+// Roughness index -> line color (smooth green to rough red)
+const ROUGHNESS_COLOR_STOPS = [0.05, '#22c55e', 0.15, '#eab308', 0.3, '#ef4444'];
+
 // Map state
 let mapState = {
   initialized: false,
@@ -81,7 +84,7 @@ function setupCoverageLayers() {
     id: 'coverage-published',
     type: 'line',
     source: 'coverage',
-    filter: ['==', ['get', 'published'], true],
+    filter: ['all', ['==', ['get', 'published'], true], ['!', ['has', 'layer']]],
     paint: {
       'line-color': '#22c55e',
       'line-width': 4,
@@ -94,7 +97,7 @@ function setupCoverageLayers() {
     id: 'coverage-pending',
     type: 'line',
     source: 'coverage',
-    filter: ['==', ['get', 'published'], false],
+    filter: ['all', ['==', ['get', 'published'], false], ['!', ['has', 'layer']]],
     paint: {
       'line-color': '#eab308',
       'line-width': 4,
@@ -102,6 +105,50 @@ function setupCoverageLayers() {
     }
   });
   
+  // Jumps where a route was split - drawn dashed, never counted as covered
+  coverageMap.addLayer({
+    id: 'coverage-gaps',
+    type: 'line',
+    source: 'coverage',
+    filter: ['==', ['get', 'layer'], 'gaps'],
+    paint: {
+      'line-color': '#9ca3af',
+      'line-width': 2,
+      'line-dasharray': [2, 2],
+      'line-opacity': 0.8
+    }
+  });
+  
+  // Roughness windows colored by index (hidden until toggled on)
+  coverageMap.addLayer({
+    id: 'coverage-roughness',
+    type: 'line',
+    source: 'coverage',
+    filter: ['==', ['get', 'layer'], 'roughness'],
+    layout: {
+      visibility: 'none'
+    },
+    paint: {
+      'line-color': ['interpolate', ['linear'], ['get', 'roughness'], ...ROUGHNESS_COLOR_STOPS],
+      'line-width': 6,
+      'line-opacity': 0.9
+    }
+  });
+  
+  // Potholes and bumps (red / orange, sized by severity)
+  coverageMap.addLayer({
+    id: 'coverage-events',
+    type: 'circle',
+    source: 'coverage',
+    filter: ['==', ['get', 'layer'], 'events'],
+    paint: {
+      'circle-color': ['match', ['get', 'type'], 'pothole', '#ef4444', '#f97316'],
+      'circle-radius': ['match', ['get', 'severity'], 'high', 8, 'medium', 6, 4],
+      'circle-stroke-color': '#ffffff',
+      'circle-stroke-width': 1
+    }
+  });
+  
   // Source for current session track
   coverageMap.addSource('current-track', {
     type: 'geojson',
@@ -131,7 +178,20 @@ function setupCoverageLayers() {
     showRoutePopup(e.lngLat, feature.properties);
   });
   
+  coverageMap.on('click', 'coverage-events', (e) => {
+    const feature = e.features[0];
+    showEventPopup(e.lngLat, feature.properties);
+  });
+  
   // Cursor styles
+  coverageMap.on('mouseenter', 'coverage-events', () => {
+    coverageMap.getCanvas().style.cursor = 'pointer';
+  });
+  
+  coverageMap.on('mouseleave', 'coverage-events', () => {
+    coverageMap.getCanvas().style.cursor = '';
+  });
+  
   coverageMap.on('mouseenter', 'coverage-published', () => {
     coverageMap.getCanvas().style.cursor = 'pointer';
   });
@@ -171,6 +231,27 @@ function showRoutePopup(lngLat, properties) {
     .addTo(coverageMap);
 }
 
+/**
+ * Show popup for a pothole or bump
+ */
+function showEventPopup(lngLat, properties) {
+  const html = `
+    <div style="font-size: 14px; line-height: 1.5;">
+      <div style="font-weight: 600; margin-bottom: 8px;">${properties.type === 'pothole' ? '🕳️ Pothole' : '〰️ Bump'}</div>
+      <div style="color: #a0a0b0; font-size: 12px;">
+        <div>📅 ${new Date(properties.timestamp).toLocaleString()}</div>
+        <div>⚠ ${properties.severity} (${properties.peak} m/s²)</div>
+        ${properties.image ? `<div>📷 ${properties.image}</div>` : ''}
+      </div>
+    </div>
+  `;
+  
+  new mapboxgl.Popup({ closeButton: true, maxWidth: '220px' })
+    .setLngLat(lngLat)
+    .setHTML(html)
+    .addTo(coverageMap);
+}
+
 /**
  * Load and display coverage data
  */
@@ -190,8 +271,8 @@ async function loadCoverage(config) {
       const bounds = new mapboxgl.LngLatBounds();
       
       coverageData.features.forEach(feature => {
-        if (feature.geometry.type === 'LineString') {
-          feature.geometry.coordinates.forEach(coord => {
+        if (feature.geometry.type === 'LineString' || feature.geometry.type === 'MultiLineString') {
+          turf.coordAll(feature).forEach(coord => {
             bounds.extend(coord);
           });
         }
@@ -213,8 +294,10 @@ async function loadCoverage(config) {
 
 /**
  * Add local sessions to coverage map
+ * `coverageSource` picks raw or filtered GPS positions for the route lines;
+ * `gapLimits` ({ maxDistance, maxSeconds }) is where lines are broken
  */
-async function addLocalSessions() {
+async function addLocalSessions(coverageSource = 'filtered', gapLimits = {}) {
   if (!coverageMap) return;
   
   const sessions = await Storage.getAllSessions();
@@ -223,17 +306,21 @@ async function addLocalSessions() {
   for (const session of sessions) {
     if (session.status === 'published') continue; // Already in GitHub index
     
-    const captures = await Storage.getSessionCaptures(session.id);
-    const coordinates = captures
-      .filter(c => c.gps?.lat && c.gps?.lng)
-      .map(c => [c.gps.lng, c.gps.lat]);
+    // Video sessions have no captures; their track comes from the video index
+    let points = await Storage.getSessionCaptures(session.id);
+    if (points.length === 0) {
+      points = await Storage.getSessionVideoIndex(session.id);
+    }
+    
+    // Split at pauses, recoveries, GPS losses and jumps so gaps aren't drawn as surveyed
+    const { parts, gaps } = Publisher.splitPath(points, coverageSource, gapLimits);
     
-    if (coordinates.length >= 2) {
+    if (parts.length > 0) {
       features.push({
         type: 'Feature',
         geometry: {
-          type: 'LineString',
-          coordinates
+          type: 'MultiLineString',
+          coordinates: parts
         },
         properties: {
           sessionId: session.id,
@@ -244,6 +331,18 @@ async function addLocalSessions() {
         }
       });
     }
+    
+    const roughness = await Storage.getSessionRoughness(session.id);
+    const roadEvents = await Storage.getSessionRoadEvents(session.id);
+    [
+      ...Publisher.generateRoughnessGeoJSON(roughness).features,
+      ...Publisher.generateEventsGeoJSON(roadEvents, points).features.filter(f => f.geometry),
+      ...Publisher.generateGapsGeoJSON(gaps).features
+    ].forEach(feature => {
+      feature.properties.sessionId = session.id;
+      feature.properties.published = false;
+      features.push(feature);
+    });
   }
   
   // Merge with existing coverage data
@@ -260,19 +359,21 @@ async function addLocalSessions() {
  * Update coverage statistics display
  */
 function updateCoverageStats(coverageData) {
+  // Roughness windows and road events overlay the session routes, so they are not counted
+  const routes = coverageData.features.filter(f => !f.properties.layer);
   const stats = coverageData.stats || {
-    totalSessions: coverageData.features.length,
+    totalSessions: routes.length,
     totalKilometers: 0,
     contributors: 0
   };
   
   // Calculate if not provided
   if (!coverageData.stats) {
-    stats.totalKilometers = coverageData.features.reduce((sum, f) => {
+    stats.totalKilometers = routes.reduce((sum, f) => {
       return sum + turf.length(f, { units: 'kilometers' });
     }, 0);
     
-    const contributors = new Set(coverageData.features.map(f => f.properties.collector));
+    const contributors = new Set(routes.map(f => f.properties.collector));
     stats.contributors = contributors.size;
   }
   
@@ -503,6 +604,13 @@ function toggleLayer(layerId, visible) {
   }
 }
 
+/**
+ * Color routes by road roughness instead of publish status
+ */
+function setRoughnessMode(enabled) {
+  toggleLayer('coverage-roughness', enabled);
+}
+
 /**
  * Destroy maps and clean up
  */
@@ -538,6 +646,7 @@ window.CoverageMap = {
   addLocalSessions,
   centerOnUser,
   toggleLayer,
+  setRoughnessMode,
   
   // Mini map
   initMiniMap,
@@ -174,13 +174,13 @@ async function fileExists(config, path) {
  */
 async function uploadFile(config, path, content, message, existingSha = null) {
   const [owner, repo] = config.repo.split('/');
-  const contentSize = typeof content === 'string' ? content.length : 'binary';
+  const contentSize = typeof content === 'string' ? content.length : content.byteLength;
   
   debugLog(`Uploading: ${path}`, { size: contentSize, hasSha: !!existingSha });
   
   const body = {
     message,
-    content: typeof content === 'string' ? btoa(unescape(encodeURIComponent(content))) : content,
+    content: typeof content === 'string' ? btoa(unescape(encodeURIComponent(content))) : arrayBufferToBase64(content),
     branch: config.branch || 'main'
   };
   
@@ -255,33 +255,20 @@ async function uploadFile(config, path, content, message, existingSha = null) {
 }
 
 /**
- * Upload an image blob to GitHub
+ * Upload a session file, replacing the copy from any earlier publish
+ */
+async function uploadSessionFile(config, path, content, message) {
+  const existing = await fileExists(config, path);
+  return uploadFile(config, path, content, message, existing.exists ? existing.sha : null);
+}
+
+/**
+ * Upload a capture's image to GitHub
+ * The bytes are read from the images store only once we know the file is missing
  */
 async function uploadImage(config, capture, sessionId) {
   const path = `sessions/${sessionId}/images/${capture.sequenceNum.toString().padStart(6, '0')}.jpg`;
   
-  // Check for image data - support both new format (imageData) and legacy (imageBlob)
-  const hasImageData = capture.imageData && (capture.imageData instanceof ArrayBuffer || capture.imageData.byteLength !== undefined);
-  const hasImageBlob = capture.imageBlob && capture.imageBlob instanceof Blob && capture.imageBlob.size > 0;
-  
-  if (!hasImageData && !hasImageBlob) {
-    debugError(`No valid image data for capture #${capture.sequenceNum}`, {
-      hasImageData: !!capture.imageData,
-      imageDataType: capture.imageData?.constructor?.name,
-      hasImageBlob: !!capture.imageBlob,
-      imageBlobType: capture.imageBlob?.constructor?.name
-    });
-    throw new Error(`Capture #${capture.sequenceNum} has no valid image data`);
-  }
-  
-  const imageSize = hasImageData ? capture.imageData.byteLength : capture.imageBlob.size;
-  
-  debugLog(`Preparing upload for #${capture.sequenceNum}`, {
-    format: hasImageData ? 'ArrayBuffer' : 'Blob',
-    size: imageSize,
-    type: capture.imageType || 'image/jpeg'
-  });
-  
   // Check if file already exists (idempotent upload)
   const existing = await fileExists(config, path);
   if (existing.exists) {
@@ -289,35 +276,18 @@ async function uploadImage(config, capture, sessionId) {
     return { url: existing.downloadUrl, skipped: true };
   }
   
-  // Convert to base64
-  let base64;
-  if (hasImageData) {
-    // New format: ArrayBuffer - direct conversion
-    base64 = arrayBufferToBase64(capture.imageData);
-    debugLog(`ArrayBuffer to base64 for #${capture.sequenceNum}: ${base64.length} chars`);
-  } else if (hasImageBlob) {
-    // Legacy format: Blob - may fail on iOS if blob is detached
-    debugWarn(`Using legacy Blob format for #${capture.sequenceNum} - may fail on iOS`);
-    try {
-      base64 = await blobToBase64(capture.imageBlob);
-      debugLog(`Blob to base64 for #${capture.sequenceNum}: ${base64.length} chars`);
-    } catch (blobError) {
-      debugError(`Blob conversion failed for #${capture.sequenceNum} - this session was created with an older app version`, {
-        error: blobError.message
-      });
-      throw new Error(`Image #${capture.sequenceNum} data is corrupted. This session was created with an older app version. Please delete it and create a new session.`);
-    }
-  }
+  const imageData = await loadImageData(capture);
   
-  if (!base64 || base64.length === 0) {
-    debugError(`Base64 conversion returned empty result for #${capture.sequenceNum}`);
-    throw new Error(`Failed to convert image #${capture.sequenceNum} to base64`);
-  }
+  debugLog(`Preparing upload for #${capture.sequenceNum}`, {
+    size: imageData.byteLength,
+    type: capture.imageType || 'image/jpeg'
+  });
   
+  // uploadFile base64-encodes ArrayBuffers itself
   const result = await uploadFile(
     config,
     path,
-    base64,
+    imageData,
     `Upload image ${capture.sequenceNum}`
   );
   
@@ -325,103 +295,101 @@ async function uploadImage(config, capture, sessionId) {
 }
 
 /**
- * Convert ArrayBuffer to base64 string
- * More reliable than Blob methods on iOS
+ * Read a capture's image bytes (EXIF-tagged) from the images store
+ * Supports both the current format (imageData) and legacy Blobs (imageBlob)
  */
-function arrayBufferToBase64(buffer) {
-  const bytes = new Uint8Array(buffer);
-  let binary = '';
-  const chunkSize = 8192;
+async function loadImageData(capture) {
+  const image = await Storage.getCaptureImage(capture.id);
+  const hasImageData = image?.imageData && image.imageData.byteLength > 0;
+  const hasImageBlob = image?.imageBlob instanceof Blob && image.imageBlob.size > 0;
   
-  for (let i = 0; i < bytes.length; i += chunkSize) {
-    const chunk = bytes.subarray(i, Math.min(i + chunkSize, bytes.length));
-    binary += String.fromCharCode.apply(null, chunk);
+  if (hasImageData) {
+    return getTaggedImageData(capture, image.imageData);
   }
   
-  return btoa(binary);
+  if (!hasImageBlob) {
+    debugError(`No valid image data for capture #${capture.sequenceNum}`, {
+      hasImageData: !!image?.imageData,
+      hasImageBlob: !!image?.imageBlob
+    });
+    throw new Error(`Capture #${capture.sequenceNum} has no valid image data`);
+  }
+  
+  // Legacy format: Blob - may fail on iOS if blob is detached
+  debugWarn(`Using legacy Blob format for #${capture.sequenceNum} - may fail on iOS`);
+  try {
+    return await image.imageBlob.arrayBuffer();
+  } catch (blobError) {
+    debugError(`Blob read failed for #${capture.sequenceNum} - this session was created with an older app version`, {
+      error: blobError.message
+    });
+    throw new Error(`Image #${capture.sequenceNum} data is corrupted. This session was created with an older app version. Please delete it and create a new session.`);
+  }
 }
 
 /**
- * Convert blob to base64
- * Uses multiple methods for mobile compatibility
+ * Upload one video segment as a single self-contained file
  */
-async function blobToBase64(blob) {
-  // Validate blob first
-  if (!blob || !(blob instanceof Blob)) {
-    debugError('blobToBase64: Invalid blob', { blob: typeof blob });
-    throw new Error('Invalid blob provided');
+async function uploadVideoSegment(config, segment, session) {
+  const path = `sessions/${session.id}/${getVideoSegmentFilename(segment, session.videoMimeType)}`;
+  
+  const existing = await fileExists(config, path);
+  if (existing.exists) {
+    debugLog(`Video segment already exists: ${path}`);
+    return { url: existing.downloadUrl, skipped: true };
   }
   
-  if (blob.size === 0) {
-    debugError('blobToBase64: Empty blob');
-    throw new Error('Blob is empty');
+  const chunks = await Storage.getVideoSegmentChunks(session.id, segment);
+  if (chunks.length === 0) {
+    throw new Error(`Video segment ${segment} has no data`);
   }
   
-  debugLog(`Converting blob to base64: ${blob.size} bytes, type: ${blob.type}`);
+  const buffer = await joinVideoChunks(chunks);
+  debugLog(`Prepared video segment ${segment}`, { chunks: chunks.length, size: buffer.byteLength });
+  
+  const result = await uploadFile(config, path, buffer, `Upload video segment ${segment}`);
+  return { url: result.url, skipped: false };
+}
+
+/**
+ * Concatenate the chunks of one MediaRecorder run into a playable file
+ */
+async function joinVideoChunks(chunks) {
+  return new Blob(chunks.map(c => c.data)).arrayBuffer();
+}
+
+/**
+ * Get the image bytes for a capture with EXIF tags embedded
+ * Captures recorded before EXIF support are tagged on the fly
+ */
+function getTaggedImageData(capture, imageData) {
+  if (capture.exifTagged) {
+    return imageData;
+  }
   
-  // Method 1: Try using arrayBuffer (more reliable on mobile)
   try {
-    const arrayBuffer = await blob.arrayBuffer();
-    const bytes = new Uint8Array(arrayBuffer);
-    let binary = '';
-    const chunkSize = 8192; // Process in chunks to avoid call stack issues
-    
-    for (let i = 0; i < bytes.length; i += chunkSize) {
-      const chunk = bytes.subarray(i, Math.min(i + chunkSize, bytes.length));
-      binary += String.fromCharCode.apply(null, chunk);
-    }
-    
-    const base64 = btoa(binary);
-    debugLog(`Base64 conversion successful: ${base64.length} chars`);
-    return base64;
-    
-  } catch (arrayBufferError) {
-    debugWarn('arrayBuffer method failed, trying FileReader', { error: arrayBufferError.message });
+    return Exif.tagCapture(imageData, capture);
+  } catch (error) {
+    debugWarn(`Could not tag image #${capture.sequenceNum}, using original`, { error: error.message });
+    return imageData;
   }
+}
+
+/**
+ * Convert ArrayBuffer to base64 string
+ * More reliable than Blob methods on iOS
+ */
+function arrayBufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  const chunkSize = 8192;
   
-  // Method 2: Fall back to FileReader
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    
-    reader.onload = () => {
-      try {
-        if (!reader.result) {
-          debugError('FileReader returned null result');
-          reject(new Error('FileReader returned null'));
-          return;
-        }
-        
-        // Remove data URL prefix (e.g., "data:image/jpeg;base64,")
-        const dataUrl = reader.result;
-        const commaIndex = dataUrl.indexOf(',');
-        if (commaIndex === -1) {
-          debugError('Invalid data URL format', { result: dataUrl.substring(0, 50) });
-          reject(new Error('Invalid data URL format'));
-          return;
-        }
-        
-        const base64 = dataUrl.substring(commaIndex + 1);
-        debugLog(`FileReader base64 conversion successful: ${base64.length} chars`);
-        resolve(base64);
-        
-      } catch (parseError) {
-        debugError('Error parsing FileReader result', { error: parseError.message });
-        reject(parseError);
-      }
-    };
-    
-    reader.onerror = () => {
-      debugError('FileReader error', { error: reader.error });
-      reject(reader.error || new Error('FileReader failed'));
-    };
-    
-    reader.onabort = () => {
-      debugError('FileReader aborted');
-      reject(new Error('FileReader aborted'));
-    };
-    
-    reader.readAsDataURL(blob);
-  });
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    const chunk = bytes.subarray(i, Math.min(i + chunkSize, bytes.length));
+    binary += String.fromCharCode.apply(null, chunk);
+  }
+  
+  return btoa(binary);
 }
 
 // ============================================
@@ -456,23 +424,34 @@ async function startPublish(sessionId, config, callbacks = {}) {
   });
   
   const captures = await Storage.getUnpublishedCaptures(sessionId);
-  if (captures.length === 0) {
+  const publishedSegments = session.publishedVideoSegments || [];
+  const videoSegments = (await Storage.getVideoSegments(sessionId))
+    .filter(segment => !publishedSegments.includes(segment));
+  
+  if (captures.length === 0 && videoSegments.length === 0) {
     debugError('No captures to publish');
     throw new Error('No captures to publish');
   }
   
-  // Check for captures with missing blobs
-  const capturesWithBlobs = captures.filter(c => c.imageBlob && c.imageBlob.size > 0);
-  const missingBlobs = captures.length - capturesWithBlobs.length;
+  // Check for captures with missing images (keys only - the bytes are read at upload time)
+  const imageIds = new Set(await Storage.getSessionImageIds(sessionId));
+  const capturesWithImages = captures.filter(c => imageIds.has(c.id));
+  const missingImages = captures.length - capturesWithImages.length;
   
-  if (missingBlobs > 0) {
-    debugWarn(`${missingBlobs} captures have missing/empty blobs`, {
+  if (missingImages > 0) {
+    debugWarn(`${missingImages} captures have missing/empty images`, {
       total: captures.length,
-      withBlobs: capturesWithBlobs.length
+      withImages: capturesWithImages.length
     });
   }
   
-  debugLog(`Starting publish: ${capturesWithBlobs.length} captures`, {
+  // Images and video segments share one resumable queue
+  const queue = [
+    ...capturesWithImages.map(capture => ({ type: 'image', capture })),
+    ...videoSegments.map(segment => ({ type: 'video', segment }))
+  ];
+  
+  debugLog(`Starting publish: ${capturesWithImages.length} captures, ${videoSegments.length} video segments`, {
     repo: config.repo,
     branch: config.branch
   });
@@ -484,10 +463,10 @@ async function startPublish(sessionId, config, callbacks = {}) {
     isProcessing: false,
     currentSession: session,
     config,
-    queue: [...capturesWithBlobs], // Only include captures with valid blobs
+    queue, // Only includes captures with valid images
     completed: 0,
     failed: 0,
-    total: capturesWithBlobs.length,
+    total: queue.length,
     startTime: Date.now(),
     onProgress: callbacks.onProgress,
     onComplete: callbacks.onComplete,
@@ -498,7 +477,7 @@ async function startPublish(sessionId, config, callbacks = {}) {
   await Storage.savePublishState({
     sessionId,
     publishStarted: new Date().toISOString(),
-    totalToUpload: capturesWithBlobs.length,
+    totalToUpload: queue.length,
     completed: 0,
     failed: 0,
     inProgress: true
@@ -513,7 +492,7 @@ async function startPublish(sessionId, config, callbacks = {}) {
   // Start processing queue (don't await - runs in background)
   processQueue();
   
-  return { total: capturesWithBlobs.length };
+  return { total: queue.length };
 }
 
 /**
@@ -540,15 +519,15 @@ async function processQueue() {
         if (!publisherState.isPublishing) break;
       }
       
-      const capture = publisherState.queue[0];
+      const item = publisherState.queue[0];
       
       // Snapshot current state to detect changes
       const currentSessionId = publisherState.currentSession?.id;
       
       try {
-        reportProgress(`Uploading image ${capture.sequenceNum}...`);
+        reportProgress(`Uploading ${describeQueueItem(item)}...`);
         
-        const result = await uploadWithRetry(capture);
+        const result = await uploadWithRetry(item);
         
         // Verify we're still publishing the same session (race condition check)
         if (publisherState.currentSession?.id !== currentSessionId) {
@@ -557,7 +536,7 @@ async function processQueue() {
         }
         
         // Mark as published
-        await Storage.markCapturePublished(capture.id, result.url);
+        await markQueueItemPublished(item, result.url);
         
         // Update state atomically
         publisherState.completed++;
@@ -584,7 +563,7 @@ async function processQueue() {
         publisherState.queue.shift(); // Move to next
         
         if (publisherState.onError) {
-          publisherState.onError(error, capture);
+          publisherState.onError(error, item);
         }
       }
     }
@@ -599,19 +578,54 @@ async function processQueue() {
   }
 }
 
+/**
+ * Human-readable label for a queue item
+ */
+function describeQueueItem(item) {
+  return item.type === 'video' ? `video segment ${item.segment}` : `image ${item.capture.sequenceNum}`;
+}
+
+/**
+ * Upload one queue item (image or video segment)
+ */
+async function uploadQueueItem(item) {
+  const sessionId = publisherState.currentSession.id;
+  if (item.type === 'video') {
+    return uploadVideoSegment(publisherState.config, item.segment, publisherState.currentSession);
+  }
+  return uploadImage(publisherState.config, item.capture, sessionId);
+}
+
+/**
+ * Record a successful upload so a resumed publish skips it
+ */
+async function markQueueItemPublished(item, url) {
+  if (item.type === 'video') {
+    const session = publisherState.currentSession;
+    publisherState.currentSession = await Storage.patchSession(session.id, {
+      publishedVideoSegments: [...(session.publishedVideoSegments || []), item.segment]
+    });
+    return;
+  }
+  await Storage.markCapturePublished(item.capture.id, url);
+}
+
 /**
  * Upload with retry logic
  */
-async function uploadWithRetry(capture, maxRetries = 5) {
+async function uploadWithRetry(item, maxRetries = 5) {
   let lastError = null;
-  
-  debugLog(`Starting upload for capture #${capture.sequenceNum}`, {
-    id: capture.id,
-    hasImageData: !!capture.imageData,
-    imageDataSize: capture.imageData?.byteLength,
-    hasBlob: !!capture.imageBlob,
-    blobSize: capture.imageBlob?.size
-  });
+  const label = describeQueueItem(item);
+  
+  if (item.type === 'video') {
+    debugLog(`Starting upload for ${label}`);
+  } else {
+    const capture = item.capture;
+    debugLog(`Starting upload for capture #${capture.sequenceNum}`, {
+      id: capture.id,
+      imageSizeBytes: capture.imageSizeBytes
+    });
+  }
   
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
@@ -622,16 +636,12 @@ async function uploadWithRetry(capture, maxRetries = 5) {
         debugLog('Back online, resuming');
       }
       
-      const result = await uploadImage(
-        publisherState.config,
-        capture,
-        publisherState.currentSession.id
-      );
+      const result = await uploadQueueItem(item);
       
       if (result.skipped) {
-        debugLog(`Image #${capture.sequenceNum} already exists, skipped`);
+        debugLog(`${label} already exists, skipped`);
       } else {
-        debugSuccess(`Image #${capture.sequenceNum} uploaded successfully`);
+        debugSuccess(`${label} uploaded successfully`);
       }
       
       return result;
@@ -640,7 +650,7 @@ async function uploadWithRetry(capture, maxRetries = 5) {
       lastError = error || new Error('Unknown error');
       const errorMessage = error?.message || String(error) || 'Unknown error';
       
-      debugError(`Upload attempt ${attempt}/${maxRetries} failed for #${capture.sequenceNum}`, {
+      debugError(`Upload attempt ${attempt}/${maxRetries} failed for ${label}`, {
         error: errorMessage,
         stack: error?.stack,
         errorType: error?.constructor?.name
@@ -666,7 +676,7 @@ async function uploadWithRetry(capture, maxRetries = 5) {
     }
   }
   
-  debugError(`All ${maxRetries} attempts failed for #${capture.sequenceNum}`, {
+  debugError(`All ${maxRetries} attempts failed for ${label}`, {
     lastError: lastError?.message || String(lastError)
   });
   throw lastError || new Error('Upload failed after all retries');
@@ -691,18 +701,93 @@ async function finishPublish() {
     // Get all captures with published URLs
     const captures = await Storage.getSessionCaptures(session.id);
     
+    // Voice notes
+    const audioNotes = await Storage.getSessionAudioNotes(session.id);
+    for (let i = 0; i < audioNotes.length; i++) {
+      reportProgress(`Uploading voice notes (${i + 1}/${audioNotes.length})...`);
+      const audioPath = `sessions/${session.id}/${getAudioNoteFilename(audioNotes[i], i)}`;
+      const existingAudio = await fileExists(config, audioPath);
+      if (!existingAudio.exists) {
+        await uploadFile(config, audioPath, audioNotes[i].audioData, `Upload voice note ${i + 1}`);
+      }
+    }
+    
+    // Video index (GPS/accelerometer keyed to video time)
+    const videoIndex = await Storage.getSessionVideoIndex(session.id);
+    if (videoIndex.length > 0) {
+      await uploadSessionFile(
+        config,
+        `sessions/${session.id}/video_index.csv`,
+        generateVideoIndexCSV(videoIndex, session.videoMimeType),
+        `Upload video_index.csv for session ${session.id}`
+      );
+    }
+    
+    // Motion sensor log
+    const imuBatches = await Storage.getSessionImu(session.id);
+    if (imuBatches.length > 0) {
+      reportProgress('Uploading motion data...');
+      await uploadSessionFile(
+        config,
+        `sessions/${session.id}/imu.csv`,
+        generateImuCSV(imuBatches),
+        `Upload imu.csv for session ${session.id}`
+      );
+    }
+    
+    // Road roughness windows
+    const roughness = await Storage.getSessionRoughness(session.id);
+    if (roughness.length > 0) {
+      await uploadSessionFile(
+        config,
+        `sessions/${session.id}/roughness.geojson`,
+        JSON.stringify(generateRoughnessGeoJSON(roughness), null, 2),
+        `Upload roughness for session ${session.id}`
+      );
+    }
+    
+    // Potholes and bumps
+    const roadEvents = await Storage.getSessionRoadEvents(session.id);
+    if (roadEvents.length > 0) {
+      await uploadSessionFile(
+        config,
+        `sessions/${session.id}/events.geojson`,
+        JSON.stringify(generateEventsGeoJSON(roadEvents, captures), null, 2),
+        `Upload road events for session ${session.id}`
+      );
+    }
+    
+    // Full GPS track
+    const track = await Storage.getSessionTrack(session.id);
+    if (track.length > 0) {
+      await uploadSessionFile(
+        config,
+        `sessions/${session.id}/track.gpx`,
+        generateGPX(session, track),
+        `Upload track.gpx for session ${session.id}`
+      );
+    }
+    
     // Generate CSV
-    const csv = generateCSV(captures);
-    const csvPath = `sessions/${session.id}/data.csv`;
-    const existingCsv = await fileExists(config, csvPath);
-    await uploadFile(
+    const csv = generateCSV(captures, audioNotes);
+    await uploadSessionFile(
       config,
-      csvPath,
+      `sessions/${session.id}/data.csv`,
       csv,
-      `Upload data.csv for session ${session.id}`,
-      existingCsv.exists ? existingCsv.sha : null
+      `Upload data.csv for session ${session.id}`
     );
     
+    // Point-of-interest tags
+    const annotations = await Storage.getSessionAnnotations(session.id);
+    if (annotations.length > 0) {
+      await uploadSessionFile(
+        config,
+        `sessions/${session.id}/annotations.geojson`,
+        JSON.stringify(generateAnnotationsGeoJSON(annotations), null, 2),
+        `Upload annotations for session ${session.id}`
+      );
+    }
+    
     // Generate metadata
     const metadata = {
       sessionId: session.id,
@@ -713,22 +798,29 @@ async function finishPublish() {
       totalCaptures: captures.length,
       publishedCaptures: publisherState.completed,
       failedCaptures: publisherState.failed,
+      suppressedFrames: session.suppressedFrames || 0,
+      annotationCount: annotations.length,
+      audioNoteCount: audioNotes.length,
+      videoSegments: session.videoSegments || 0,
+      roughnessWindows: roughness.length,
+      meanRoughness: getMeanRoughness(roughness),
+      roadEventCount: roadEvents.length,
+      trackPoints: track.length,
+      events: session.events || [],
+      trackSegments: session.trackSegments || [],
       settings: session.settings,
       contributor: config.contributor || 'anonymous'
     };
     
-    const metadataPath = `sessions/${session.id}/metadata.json`;
-    const existingMetadata = await fileExists(config, metadataPath);
-    await uploadFile(
+    await uploadSessionFile(
       config,
-      metadataPath,
+      `sessions/${session.id}/metadata.json`,
       JSON.stringify(metadata, null, 2),
-      `Upload metadata for session ${session.id}`,
-      existingMetadata.exists ? existingMetadata.sha : null
+      `Upload metadata for session ${session.id}`
     );
     
-    // Update coverage index
-    await updateCoverageIndex(session, captures, config);
+    // Update coverage index (video sessions are traced from the video index)
+    await updateCoverageIndex(session, captures.length > 0 ? captures : videoIndex, config, roughness, roadEvents);
     
     // Update session status
     session.status = publisherState.failed > 0 ? 'partially_published' : 'published';
@@ -849,24 +941,26 @@ function getPublishProgress() {
 
 /**
  * Update the coverage index after publishing
+ * Roughness windows and road events are added as separate features with a `layer` property
  */
-async function updateCoverageIndex(session, captures, config) {
+async function updateCoverageIndex(session, captures, config, roughness = [], roadEvents = []) {
   try {
     // Load existing coverage index
     let index = await loadCoverageIndex(config);
     
-    // Create LineString from session coordinates
-    const coordinates = captures
-      .filter(c => c.gps?.lat && c.gps?.lng)
-      .map(c => [c.gps.lng, c.gps.lat]);
+    // Create MultiLineString from session coordinates, one part per track segment or gap-free run
+    const { parts, gaps } = splitPath(captures, config.coverageSource, {
+      maxDistance: config.coverageGapDistance,
+      maxSeconds: config.coverageGapTime
+    });
     
-    if (coordinates.length < 2) {
+    if (parts.length === 0) {
       console.warn('Not enough GPS points for coverage index');
       return;
     }
     
     // Create and simplify line
-    const line = turf.lineString(coordinates);
+    const line = turf.multiLineString(parts);
     const simplified = turf.simplify(line, { tolerance: 0.0001, highQuality: true });
     
     // Add properties
@@ -876,14 +970,25 @@ async function updateCoverageIndex(session, captures, config) {
       collectedAt: session.createdAt,
       collector: config.contributor || 'anonymous',
       imageCount: captures.length,
+      roughness: getMeanRoughness(roughness),
+      gapCount: gaps.length,
       published: true
     };
     
-    // Remove existing entry for this session if present
+    // Remove existing entries for this session if present
     index.features = index.features.filter(f => f.properties.sessionId !== session.id);
     
-    // Add new entry
+    // Add new entries
     index.features.push(simplified);
+    [
+      ...generateRoughnessGeoJSON(roughness).features,
+      ...generateEventsGeoJSON(roadEvents, captures).features.filter(f => f.geometry),
+      ...generateGapsGeoJSON(gaps).features
+    ].forEach(feature => {
+      feature.properties.sessionId = session.id;
+      feature.properties.published = true;
+      index.features.push(feature);
+    });
     index.generatedAt = new Date().toISOString();
     index.stats = calculateCoverageStats(index);
     
@@ -905,6 +1010,110 @@ async function updateCoverageIndex(session, captures, config) {
   }
 }
 
+/**
+ * [lng, lat] pairs for a route through captures (or video index entries)
+ * 'filtered' uses the smoothed position and drops rejected outliers; 'raw' uses fixes as reported
+ */
+function getPathCoordinates(points, source = 'filtered') {
+  return points
+    .map(p => getPathPosition(p, source))
+    .filter(position => position !== null);
+}
+
+/**
+ * [lng, lat] of one capture or video index entry, or null if it has no usable fix
+ */
+function getPathPosition(p, source = 'filtered') {
+  if (!p.gps?.lat || !p.gps?.lng) return null;
+  if (source !== 'raw' && p.gps.rejected) return null;
+  
+  const position = source === 'raw' ? p.gps : (p.gps.filtered || p.gps);
+  return [position.lng, position.lat];
+}
+
+/**
+ * Split a route into parts at track segment boundaries (pause/resume, recovery, GPS loss)
+ * and wherever consecutive positions are more than `maxDistance` meters or `maxSeconds` apart
+ * Jumps are returned as `gaps` so they can be drawn without counting as covered;
+ * a limit of 0 disables that check. Parts with fewer than two positions are dropped
+ */
+function splitPath(points, source = 'filtered', { maxDistance = 0, maxSeconds = 0 } = {}) {
+  const groups = new Map();
+  points.forEach(p => {
+    const segment = p.trackSegment ?? 0;
+    if (!groups.has(segment)) {
+      groups.set(segment, []);
+    }
+    groups.get(segment).push(p);
+  });
+  
+  const parts = [];
+  const gaps = [];
+  
+  for (const group of groups.values()) {
+    let part = [];
+    let previous = null;
+    
+    group.forEach(p => {
+      const position = getPathPosition(p, source);
+      if (!position) return;
+      
+      if (previous) {
+        const distance = turf.distance(previous.position, position, { units: 'meters' });
+        const seconds = (Date.parse(p.timestamp) - Date.parse(previous.timestamp)) / 1000;
+        
+        let reason = null;
+        if (maxDistance > 0 && distance > maxDistance) {
+          reason = 'distance';
+        } else if (maxSeconds > 0 && seconds > maxSeconds) {
+          reason = 'time';
+        }
+        
+        if (reason) {
+          gaps.push({
+            coordinates: [previous.position, position],
+            reason,
+            distance: Math.round(distance),
+            seconds: Math.round(seconds)
+          });
+          parts.push(part);
+          part = [];
+        }
+      }
+      
+      part.push(position);
+      previous = { position, timestamp: p.timestamp };
+    });
+    
+    parts.push(part);
+  }
+  
+  return { parts: parts.filter(part => part.length >= 2), gaps };
+}
+
+/**
+ * Build a GeoJSON FeatureCollection of the jumps a route was split at
+ * They carry `layer: 'gaps'` so coverage stats and gap analysis skip them
+ */
+function generateGapsGeoJSON(gaps) {
+  return {
+    type: 'FeatureCollection',
+    features: gaps.map(gap => ({
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: gap.coordinates
+      },
+      properties: {
+        layer: 'gaps',
+        reason: gap.reason,
+        distance_m: gap.distance,
+        duration_s: gap.seconds
+      }
+    }))
+  };
+}
+
 /**
  * Load coverage index from GitHub
  */
@@ -942,18 +1151,21 @@ async function loadCoverageIndex(config) {
  * Calculate coverage statistics
  */
 function calculateCoverageStats(index) {
-  const totalKm = index.features.reduce((sum, f) => {
+  // Only session routes count - roughness windows and road events overlay them
+  const routes = index.features.filter(f => !f.properties.layer);
+  
+  const totalKm = routes.reduce((sum, f) => {
     return sum + turf.length(f, { units: 'kilometers' });
   }, 0);
   
-  const totalImages = index.features.reduce((sum, f) => {
+  const totalImages = routes.reduce((sum, f) => {
     return sum + (f.properties.imageCount || 0);
   }, 0);
   
-  const contributors = new Set(index.features.map(f => f.properties.collector));
+  const contributors = new Set(routes.map(f => f.properties.collector));
   
   return {
-    totalSessions: index.features.length,
+    totalSessions: routes.length,
     totalKilometers: Math.round(totalKm * 10) / 10,
     totalImages,
     contributors: contributors.size
@@ -964,11 +1176,37 @@ function calculateCoverageStats(index) {
 // Utility Functions
 // ============================================
 
+/**
+ * File path of a voice note, relative to the session folder
+ */
+function getAudioNoteFilename(note, index) {
+  const extensions = { 'audio/webm': 'webm', 'audio/ogg': 'ogg', 'audio/mp4': 'm4a', 'audio/mpeg': 'mp3' };
+  const extension = extensions[(note.mimeType || '').split(';')[0]] || 'webm';
+  return `audio/note_${(index + 1).toString().padStart(3, '0')}.${extension}`;
+}
+
+/**
+ * Quote a CSV value if it contains a comma, quote or line break (RFC 4180)
+ */
+function csvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
 /**
  * Generate CSV from captures
+ * Voice notes are referenced from the capture they were recorded at
  */
-function generateCSV(captures) {
-  const headers = ['sequence', 'timestamp', 'gps_lat', 'gps_lng', 'gps_accuracy', 'gps_stale', 'image_url', 'accel_x', 'accel_y', 'accel_z'];
+function generateCSV(captures, audioNotes = []) {
+  const audioBySequence = new Map();
+  audioNotes.forEach((note, i) => {
+    if (note.sequenceNum === null || note.sequenceNum === undefined) return;
+    const files = audioBySequence.get(note.sequenceNum) || [];
+    files.push(getAudioNoteFilename(note, i));
+    audioBySequence.set(note.sequenceNum, files);
+  });
+  
+  const headers = ['sequence', 'timestamp', 'gps_lat', 'gps_lng', 'gps_accuracy', 'gps_stale', 'image_url', 'accel_x', 'accel_y', 'accel_z', 'sharpness', 'brightness', 'capture_backend', 'native_width', 'native_height', 'level_correction', 'audio_files', 'gps_altitude', 'gps_altitude_accuracy', 'gps_speed', 'gps_heading', 'compass_heading', 'compass_source', 'roughness_index', 'roughness_rms', 'gps_filtered_lat', 'gps_filtered_lng', 'gps_filtered_accuracy', 'gps_outlier', 'gps_estimated_lat', 'gps_estimated_lng', 'gps_estimated_accuracy', 'gps_estimated_source', 'battery_level', 'battery_charging', 'survey_area', 'outside_survey_area', 'track_segment'];
   
   const rows = captures.map(c => [
     c.sequenceNum,
@@ -980,12 +1218,260 @@ function generateCSV(captures) {
     c.publishedUrl || '',
     c.accel?.x ?? '',
     c.accel?.y ?? '',
-    c.accel?.z ?? ''
+    c.accel?.z ?? '',
+    c.quality?.sharpness ?? '',
+    c.quality?.brightness ?? '',
+    c.source?.backend ?? '',
+    c.source?.width ?? '',
+    c.source?.height ?? '',
+    c.levelCorrection ?? '',
+    (audioBySequence.get(c.sequenceNum) || []).join(';'),
+    c.gps?.altitude ?? '',
+    c.gps?.altitudeAccuracy ?? '',
+    c.gps?.speed ?? '',
+    c.gps?.heading ?? '',
+    c.compass?.heading ?? '',
+    c.compass?.source ?? '',
+    c.roughness?.index ?? '',
+    c.roughness?.rms ?? '',
+    c.gps?.filtered?.lat ?? '',
+    c.gps?.filtered?.lng ?? '',
+    c.gps?.filtered?.accuracy ?? '',
+    c.gps?.rejected ?? '',
+    c.gps?.estimated?.lat ?? '',
+    c.gps?.estimated?.lng ?? '',
+    c.gps?.estimated?.accuracy ?? '',
+    c.gps?.estimated?.source ?? '',
+    c.battery?.level ?? '',
+    c.battery?.charging ?? '',
+    c.surveyArea ?? '',
+    c.outsideSurveyArea ?? '',
+    c.trackSegment ?? 0
+  ]);
+  
+  // Survey area names and other free text may contain commas
+  return [headers.join(','), ...rows.map(r => r.map(csvField).join(','))].join('\n');
+}
+
+/**
+ * File path of a video segment, relative to the session folder
+ */
+function getVideoSegmentFilename(segment, mimeType = 'video/webm') {
+  const extension = (mimeType || '').startsWith('video/mp4') ? 'mp4' : 'webm';
+  return `video/segment_${segment.toString().padStart(3, '0')}.${extension}`;
+}
+
+/**
+ * Generate the per-second video index CSV
+ */
+function generateVideoIndexCSV(entries, mimeType) {
+  const headers = ['segment', 'video_file', 'video_time', 'timestamp', 'gps_lat', 'gps_lng', 'gps_accuracy', 'gps_stale', 'accel_x', 'accel_y', 'accel_z', 'track_segment'];
+  
+  const rows = entries.map(e => [
+    e.segment,
+    getVideoSegmentFilename(e.segment, mimeType),
+    e.videoTime,
+    e.timestamp,
+    e.gps?.lat ?? '',
+    e.gps?.lng ?? '',
+    e.gps?.accuracy ?? '',
+    e.gps?.stale ?? '',
+    e.accel?.x ?? '',
+    e.accel?.y ?? '',
+    e.accel?.z ?? '',
+    e.trackSegment ?? 0
   ]);
   
   return [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
 }
 
+/**
+ * Generate the motion sensor CSV from batched samples
+ * Samples are [epochMs, interval, ax, ay, az, gx, gy, gz, alpha, beta, gamma]
+ */
+function generateImuCSV(batches) {
+  const headers = ['timestamp', 'epoch_ms', 'interval_ms', 'accel_x', 'accel_y', 'accel_z', 'accel_gravity_x', 'accel_gravity_y', 'accel_gravity_z', 'rotation_alpha', 'rotation_beta', 'rotation_gamma'];
+  
+  const lines = [headers.join(',')];
+  for (const batch of batches) {
+    for (const [epochMs, ...values] of batch.samples) {
+      lines.push([new Date(epochMs).toISOString(), epochMs, ...values.map(v => v ?? '')].join(','));
+    }
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Escape text for use in XML content and attributes
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Generate a GPX 1.1 track from GPS fixes, with one <trkseg> per track segment
+ * Speed and course use the Garmin TrackPointExtension; accuracies use the survey namespace
+ */
+function generateGPX(session, points) {
+  const name = escapeXml(session.name || session.id);
+  const boundaries = (session.trackSegments || []).slice(1).map(s => Date.parse(s.startTime));
+  
+  const trackPoints = points.map(p => {
+    const tpx = [];
+    if (Number.isFinite(p.speed)) tpx.push(`<gpxtpx:speed>${p.speed}</gpxtpx:speed>`);
+    if (Number.isFinite(p.heading)) tpx.push(`<gpxtpx:course>${p.heading}</gpxtpx:course>`);
+    
+    const extensions = [];
+    if (tpx.length > 0) extensions.push(`<gpxtpx:TrackPointExtension>${tpx.join('')}</gpxtpx:TrackPointExtension>`);
+    if (Number.isFinite(p.accuracy)) extensions.push(`<survey:accuracy>${p.accuracy}</survey:accuracy>`);
+    if (Number.isFinite(p.altitudeAccuracy)) extensions.push(`<survey:altitudeAccuracy>${p.altitudeAccuracy}</survey:altitudeAccuracy>`);
+    
+    return [
+      `      <trkpt lat="${p.lat}" lon="${p.lng}">`,
+      Number.isFinite(p.altitude) ? `        <ele>${p.altitude}</ele>` : null,
+      `        <time>${new Date(p.timestamp).toISOString()}</time>`,
+      extensions.length > 0 ? `        <extensions>${extensions.join('')}</extensions>` : null,
+      '      </trkpt>'
+    ].filter(line => line !== null).join('\n');
+  });
+  
+  // Fixes are sorted by time, so close the segment whenever a boundary is passed
+  const segments = [];
+  let boundary = 0;
+  points.forEach((p, i) => {
+    if (segments.length === 0) {
+      segments.push([]);
+    }
+    while (boundary < boundaries.length && new Date(p.timestamp).getTime() >= boundaries[boundary]) {
+      boundary++;
+      if (segments[segments.length - 1].length > 0) {
+        segments.push([]);
+      }
+    }
+    segments[segments.length - 1].push(trackPoints[i]);
+  });
+  
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="Street Survey Collector ${window.APP_VERSION || ''}"`,
+    '  xmlns="http://www.topografix.com/GPX/1/1"',
+    '  xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2"',
+    '  xmlns:survey="urn:street-survey:gpx:1">',
+    '  <metadata>',
+    `    <name>${name}</name>`,
+    `    <time>${session.createdAt}</time>`,
+    '  </metadata>',
+    '  <trk>',
+    `    <name>${name}</name>`,
+    ...segments.flatMap(segment => ['    <trkseg>', ...segment, '    </trkseg>']),
+    '  </trk>',
+    '</gpx>'
+  ].join('\n');
+}
+
+/**
+ * Build a GeoJSON FeatureCollection of point-of-interest tags
+ * Tags without a GPS fix are kept with a null geometry
+ */
+function generateAnnotationsGeoJSON(annotations) {
+  return {
+    type: 'FeatureCollection',
+    features: annotations.map(a => ({
+      type: 'Feature',
+      geometry: a.gps ? { type: 'Point', coordinates: [a.gps.lng, a.gps.lat] } : null,
+      properties: {
+        category: a.category,
+        note: a.note || '',
+        timestamp: a.timestamp,
+        accuracy: a.gps?.accuracy ?? null,
+        sequence_num: a.sequenceNum ?? null,
+        image: a.sequenceNum ? `images/${a.sequenceNum.toString().padStart(6, '0')}.jpg` : null
+      }
+    }))
+  };
+}
+
+/**
+ * Build a GeoJSON FeatureCollection with one LineString per roughness window
+ */
+function generateRoughnessGeoJSON(windows) {
+  return {
+    type: 'FeatureCollection',
+    features: windows
+      .filter(w => w.coordinates.length >= 2)
+      .map(w => ({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: w.coordinates },
+        properties: {
+          layer: 'roughness',
+          roughness: w.roughness,
+          rms_vertical: w.rmsVertical,
+          speed: w.speed,
+          distance: w.distance,
+          samples: w.samples,
+          start_time: w.startTime,
+          end_time: w.endTime
+        }
+      }))
+  };
+}
+
+/**
+ * Build a GeoJSON FeatureCollection of potholes and bumps
+ * Each event is linked to the capture taken closest in time
+ */
+function generateEventsGeoJSON(roadEvents, captures = []) {
+  return {
+    type: 'FeatureCollection',
+    features: roadEvents.map(e => {
+      const time = Date.parse(e.timestamp);
+      let nearest = null;
+      for (const c of captures) {
+        if (!c.sequenceNum) continue;
+        const offset = Math.abs(Date.parse(c.timestamp) - time);
+        if (!nearest || offset < nearest.offset) {
+          nearest = { sequenceNum: c.sequenceNum, offset };
+        }
+      }
+      
+      return {
+        type: 'Feature',
+        geometry: e.gps ? { type: 'Point', coordinates: [e.gps.lng, e.gps.lat] } : null,
+        properties: {
+          layer: 'events',
+          type: e.type,
+          severity: e.severity,
+          peak: e.peak,
+          duration_ms: e.durationMs,
+          speed: e.gps?.speed ?? null,
+          accuracy: e.gps?.accuracy ?? null,
+          timestamp: e.timestamp,
+          sequence_num: nearest ? nearest.sequenceNum : null,
+          image: nearest ? `images/${nearest.sequenceNum.toString().padStart(6, '0')}.jpg` : null,
+          capture_offset_s: nearest ? Math.round(nearest.offset / 100) / 10 : null
+        }
+      };
+    })
+  };
+}
+
+/**
+ * Distance-weighted mean roughness index, or null without windows
+ */
+function getMeanRoughness(windows) {
+  const distance = windows.reduce((sum, w) => sum + w.distance, 0);
+  if (distance === 0) return null;
+  
+  const weighted = windows.reduce((sum, w) => sum + w.roughness * w.distance, 0);
+  return Math.round((weighted / distance) * 1000) / 1000;
+}
+
 /**
  * Report progress
  */
@@ -1054,7 +1540,8 @@ async function exportSessionAsZip(sessionId, onProgress = null) {
   }
   
   const captures = await Storage.getSessionCaptures(sessionId);
-  if (captures.length === 0) {
+  const videoSegments = await Storage.getVideoSegments(sessionId);
+  if (captures.length === 0 && videoSegments.length === 0) {
     throw new Error('No captures to export');
   }
   
@@ -1068,16 +1555,11 @@ async function exportSessionAsZip(sessionId, onProgress = null) {
   for (const capture of captures) {
     const filename = `${capture.sequenceNum.toString().padStart(6, '0')}.jpg`;
     
-    // Support both new format (imageData as ArrayBuffer) and legacy (imageBlob)
-    if (capture.imageData && capture.imageData.byteLength > 0) {
-      // New format: ArrayBuffer
-      imagesFolder.file(filename, capture.imageData);
-      imagesAdded++;
-    } else if (capture.imageBlob && capture.imageBlob instanceof Blob && capture.imageBlob.size > 0) {
-      // Legacy format: Blob
-      imagesFolder.file(filename, capture.imageBlob);
+    // Images are read one at a time, only for the export
+    try {
+      imagesFolder.file(filename, await loadImageData(capture));
       imagesAdded++;
-    } else {
+    } catch (error) {
       console.warn(`Capture ${capture.sequenceNum} has no valid image data`);
     }
     
@@ -1092,14 +1574,61 @@ async function exportSessionAsZip(sessionId, onProgress = null) {
     }
   }
   
-  if (imagesAdded === 0) {
+  // Add video segments and their index
+  for (const segment of videoSegments) {
+    const chunks = await Storage.getVideoSegmentChunks(sessionId, segment);
+    zip.file(getVideoSegmentFilename(segment, session.videoMimeType), await joinVideoChunks(chunks));
+  }
+  
+  const videoIndex = await Storage.getSessionVideoIndex(sessionId);
+  if (videoIndex.length > 0) {
+    zip.file('video_index.csv', generateVideoIndexCSV(videoIndex, session.videoMimeType));
+  }
+  
+  // Motion sensor log
+  const imuBatches = await Storage.getSessionImu(sessionId);
+  if (imuBatches.length > 0) {
+    zip.file('imu.csv', generateImuCSV(imuBatches));
+  }
+  
+  if (imagesAdded === 0 && videoSegments.length === 0) {
     throw new Error('No images found in session. Images may have been cleared from storage.');
   }
   
+  // Add voice notes
+  const audioNotes = await Storage.getSessionAudioNotes(sessionId);
+  audioNotes.forEach((note, i) => {
+    zip.file(getAudioNoteFilename(note, i), note.audioData);
+  });
+  
   // Generate CSV
-  const csv = generateCSV(captures);
+  const csv = generateCSV(captures, audioNotes);
   zip.file('data.csv', csv);
   
+  // Point-of-interest tags
+  const annotations = await Storage.getSessionAnnotations(sessionId);
+  if (annotations.length > 0) {
+    zip.file('annotations.geojson', JSON.stringify(generateAnnotationsGeoJSON(annotations), null, 2));
+  }
+  
+  // Road roughness windows
+  const roughness = await Storage.getSessionRoughness(sessionId);
+  if (roughness.length > 0) {
+    zip.file('roughness.geojson', JSON.stringify(generateRoughnessGeoJSON(roughness), null, 2));
+  }
+  
+  // Potholes and bumps
+  const roadEvents = await Storage.getSessionRoadEvents(sessionId);
+  if (roadEvents.length > 0) {
+    zip.file('events.geojson', JSON.stringify(generateEventsGeoJSON(roadEvents, captures), null, 2));
+  }
+  
+  // Full GPS track
+  const track = await Storage.getSessionTrack(sessionId);
+  if (track.length > 0) {
+    zip.file('track.gpx', generateGPX(session, track));
+  }
+  
   // Add metadata
   const metadata = {
     sessionId: session.id,
@@ -1107,6 +1636,16 @@ async function exportSessionAsZip(sessionId, onProgress = null) {
     createdAt: session.createdAt,
     captureCount: captures.length,
     imagesExported: imagesAdded,
+    suppressedFrames: session.suppressedFrames || 0,
+    annotationCount: annotations.length,
+    audioNoteCount: audioNotes.length,
+    videoSegments: videoSegments.length,
+    roughnessWindows: roughness.length,
+    meanRoughness: getMeanRoughness(roughness),
+    roadEventCount: roadEvents.length,
+    trackPoints: track.length,
+    events: session.events || [],
+    trackSegments: session.trackSegments || [],
     exportedAt: new Date().toISOString(),
     settings: session.settings
   };
@@ -1156,7 +1695,8 @@ async function exportSessionAsCSV(sessionId) {
   }
   
   const captures = await Storage.getSessionCaptures(sessionId);
-  const csv = generateCSV(captures);
+  const audioNotes = await Storage.getSessionAudioNotes(sessionId);
+  const csv = generateCSV(captures, audioNotes);
   
   const blob = new Blob([csv], { type: 'text/csv' });
   const url = URL.createObjectURL(blob);
@@ -1171,6 +1711,33 @@ async function exportSessionAsCSV(sessionId) {
   return { filename: `${session.name || session.id}.csv` };
 }
 
+/**
+ * Export the full GPS track as GPX
+ */
+async function exportSessionAsGPX(sessionId) {
+  const session = await Storage.getSession(sessionId);
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  const track = await Storage.getSessionTrack(sessionId);
+  if (track.length === 0) {
+    throw new Error('No GPS track recorded for this session');
+  }
+  
+  const blob = new Blob([generateGPX(session, track)], { type: 'application/gpx+xml' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${session.name || session.id}.gpx`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+  
+  return { filename: `${session.name || session.id}.gpx`, pointCount: track.length };
+}
+
 // ============================================
 // Export for module usage
 // ============================================
@@ -1185,10 +1752,20 @@ window.Publisher = {
   
   // Coverage
   loadCoverageIndex,
+  getPathCoordinates,
+  splitPath,
+  generateGapsGeoJSON,
   
   // Export
   exportSessionAsZip,
   exportSessionAsCSV,
-  generateCSV
+  exportSessionAsGPX,
+  generateCSV,
+  generateGPX,
+  generateAnnotationsGeoJSON,
+  generateRoughnessGeoJSON,
+  generateEventsGeoJSON,
+  generateVideoIndexCSV,
+  generateImuCSV
 };
 
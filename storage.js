@@ -8,7 +8,10 @@ let db = null;
 
 // Database configuration
 const DB_NAME = 'SensorCollectorDB';
-const DB_VERSION = 1;
+const DB_VERSION = 9;
+
+// Stores holding per-session records, each indexed by sessionId
+const SESSION_STORES = ['captures', 'images', 'annotations', 'audioNotes', 'videoChunks', 'videoIndex', 'imu', 'roughness', 'roadEvents', 'track'];
 
 /**
  * Initialize the IndexedDB database
@@ -57,11 +60,96 @@ async function initDatabase() {
         database.createObjectStore('settings', { keyPath: 'key' });
       }
       
+      // Annotations store (v2)
+      if (!database.objectStoreNames.contains('annotations')) {
+        const annotationsStore = database.createObjectStore('annotations', { keyPath: 'id', autoIncrement: true });
+        annotationsStore.createIndex('sessionId', 'sessionId', { unique: false });
+      }
+      
+      // Voice notes store (v3)
+      if (!database.objectStoreNames.contains('audioNotes')) {
+        const audioStore = database.createObjectStore('audioNotes', { keyPath: 'id', autoIncrement: true });
+        audioStore.createIndex('sessionId', 'sessionId', { unique: false });
+      }
+      
+      // Video chunks and their GPS/accelerometer index (v4)
+      if (!database.objectStoreNames.contains('videoChunks')) {
+        const chunksStore = database.createObjectStore('videoChunks', { keyPath: 'id', autoIncrement: true });
+        chunksStore.createIndex('sessionId', 'sessionId', { unique: false });
+        chunksStore.createIndex('sessionSegment', ['sessionId', 'segment'], { unique: false });
+      }
+      
+      if (!database.objectStoreNames.contains('videoIndex')) {
+        const videoIndexStore = database.createObjectStore('videoIndex', { keyPath: 'id', autoIncrement: true });
+        videoIndexStore.createIndex('sessionId', 'sessionId', { unique: false });
+      }
+      
+      // Batched accelerometer/gyroscope samples (v5)
+      if (!database.objectStoreNames.contains('imu')) {
+        const imuStore = database.createObjectStore('imu', { keyPath: 'id', autoIncrement: true });
+        imuStore.createIndex('sessionId', 'sessionId', { unique: false });
+      }
+      
+      // Road roughness windows (v6)
+      if (!database.objectStoreNames.contains('roughness')) {
+        const roughnessStore = database.createObjectStore('roughness', { keyPath: 'id', autoIncrement: true });
+        roughnessStore.createIndex('sessionId', 'sessionId', { unique: false });
+      }
+      
+      // Detected potholes and bumps (v7)
+      if (!database.objectStoreNames.contains('roadEvents')) {
+        const roadEventsStore = database.createObjectStore('roadEvents', { keyPath: 'id', autoIncrement: true });
+        roadEventsStore.createIndex('sessionId', 'sessionId', { unique: false });
+      }
+      
+      // Every GPS fix of a session (v8)
+      if (!database.objectStoreNames.contains('track')) {
+        const trackStore = database.createObjectStore('track', { keyPath: 'id', autoIncrement: true });
+        trackStore.createIndex('sessionId', 'sessionId', { unique: false });
+      }
+      
+      // Image bytes keyed by capture id, so capture metadata reads stay small (v9)
+      if (!database.objectStoreNames.contains('images')) {
+        const imagesStore = database.createObjectStore('images', { keyPath: 'captureId' });
+        imagesStore.createIndex('sessionId', 'sessionId', { unique: false });
+      }
+      
+      // Before v9 the image was stored inside each capture record
+      if (event.oldVersion > 0 && event.oldVersion < 9) {
+        migrateCaptureImages(event.target.transaction);
+      }
+      
       console.log('Database schema created/upgraded');
     };
   });
 }
 
+/**
+ * Move image bytes out of capture records into the images store
+ * Runs inside the upgrade transaction, one capture at a time
+ */
+function migrateCaptureImages(transaction) {
+  const capturesStore = transaction.objectStore('captures');
+  const imagesStore = transaction.objectStore('images');
+  let moved = 0;
+  
+  capturesStore.openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) {
+      console.log(`Moved ${moved} images out of capture records`);
+      return;
+    }
+    
+    const { imageData, imageBlob, ...capture } = cursor.value;
+    if (imageData || imageBlob) {
+      imagesStore.put({ captureId: capture.id, sessionId: capture.sessionId, imageData, imageBlob });
+      cursor.update(capture);
+      moved++;
+    }
+    cursor.continue();
+  };
+}
+
 /**
  * Request persistent storage to prevent data loss
  */
@@ -123,16 +211,38 @@ async function createSession(name = null, settings = {}) {
     name: name || `Session ${new Date().toLocaleDateString()}`,
     createdAt: new Date().toISOString(),
     status: 'recording',
+    // Routes are never drawn across a track segment boundary
+    trackSegments: [{ index: 0, startTime: new Date().toISOString(), reason: 'start' }],
     captureCount: 0,
     totalBytes: 0,
     avgImageSize: 0,
     duration: 0,
     startTime: Date.now(),
     lastCaptureTime: null,
+    suppressedFrames: 0,
     settings: {
+      recordingMode: settings.recordingMode || 'photo',
+      captureBackend: settings.captureBackend || 'video',
+      captureTrigger: settings.captureTrigger || 'time',
       captureInterval: settings.captureInterval || 2000,
+      captureDistance: settings.captureDistance || 10,
+      lowBatteryLevel: settings.lowBatteryLevel ?? 20,
       imageQuality: settings.imageQuality || 0.7,
-      imageMaxWidth: settings.imageMaxWidth || 1280
+      imageMaxWidth: settings.imageMaxWidth || 1280,
+      qualityGate: settings.qualityGate || false,
+      minSharpness: settings.minSharpness ?? null,
+      minBrightness: settings.minBrightness ?? null,
+      suppressDuplicates: settings.suppressDuplicates ?? true,
+      autoLevel: settings.autoLevel || false,
+      autoPause: settings.autoPause || false,
+      autoPauseDwell: settings.autoPauseDwell ?? 60,
+      autoResumeSpeed: settings.autoResumeSpeed ?? 8,
+      coverageSource: settings.coverageSource || 'filtered',
+      coverageGapDistance: settings.coverageGapDistance ?? 200,
+      coverageGapTime: settings.coverageGapTime ?? 120,
+      geofenceAuto: settings.geofenceAuto || false,
+      geofenceGrace: settings.geofenceGrace ?? 50,
+      camera: settings.camera || null
     }
   };
   
@@ -174,6 +284,57 @@ async function updateSession(session) {
   });
 }
 
+/**
+ * Apply changes to the stored copy of a session
+ * Reads and writes in one transaction so stats kept by saveCapture are not lost
+ * `changes` may be a function of the stored session
+ */
+async function patchSession(sessionId, changes) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(['sessions'], 'readwrite');
+    const store = transaction.objectStore('sessions');
+    const request = store.get(sessionId);
+    let session = null;
+    
+    request.onsuccess = () => {
+      if (!request.result) {
+        reject(new Error('Session not found'));
+        return;
+      }
+      const updates = typeof changes === 'function' ? changes(request.result) : changes;
+      session = { ...request.result, ...updates };
+      store.put(session);
+    };
+    request.onerror = () => reject(request.error);
+    
+    transaction.oncomplete = () => resolve(session);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Append a timestamped event (e.g. pause/resume and its trigger) to a session
+ */
+async function addSessionEvent(sessionId, event, changes = {}) {
+  return patchSession(sessionId, (session) => ({
+    ...changes,
+    events: [...(session.events || []), { timestamp: new Date().toISOString(), ...event }]
+  }));
+}
+
+/**
+ * Start a new track segment; `reason` is what broke the route ('pause', 'recovery', 'gps-loss')
+ * Sessions from before segments were recorded count as a single segment
+ */
+async function addTrackSegment(sessionId, reason) {
+  return patchSession(sessionId, (session) => {
+    const segments = session.trackSegments || [{ index: 0, startTime: session.createdAt, reason: 'start' }];
+    return {
+      trackSegments: [...segments, { index: segments.length, startTime: new Date().toISOString(), reason }]
+    };
+  });
+}
+
 /**
  * Get all sessions
  */
@@ -226,28 +387,29 @@ async function getSessionsByStatus(status) {
 }
 
 /**
- * Delete a session and all its captures
+ * Delete a session and all its captures and other records
  */
 async function deleteSession(sessionId) {
   return new Promise((resolve, reject) => {
-    const transaction = db.transaction(['sessions', 'captures', 'publishState'], 'readwrite');
+    const transaction = db.transaction(['sessions', ...SESSION_STORES, 'publishState'], 'readwrite');
     
     // Delete session
     const sessionsStore = transaction.objectStore('sessions');
     sessionsStore.delete(sessionId);
     
-    // Delete all captures for this session
-    const capturesStore = transaction.objectStore('captures');
-    const index = capturesStore.index('sessionId');
-    const request = index.openCursor(IDBKeyRange.only(sessionId));
-    
-    request.onsuccess = (event) => {
-      const cursor = event.target.result;
-      if (cursor) {
-        cursor.delete();
-        cursor.continue();
-      }
-    };
+    // Delete all captures, annotations etc. for this session
+    for (const storeName of SESSION_STORES) {
+      const index = transaction.objectStore(storeName).index('sessionId');
+      const request = index.openCursor(IDBKeyRange.only(sessionId));
+      
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+    }
     
     // Delete publish state
     const publishStore = transaction.objectStore('publishState');
@@ -263,10 +425,10 @@ async function deleteSession(sessionId) {
  */
 async function deleteAllSessions() {
   return new Promise((resolve, reject) => {
-    const transaction = db.transaction(['sessions', 'captures', 'publishState'], 'readwrite');
+    const transaction = db.transaction(['sessions', ...SESSION_STORES, 'publishState'], 'readwrite');
     
     transaction.objectStore('sessions').clear();
-    transaction.objectStore('captures').clear();
+    SESSION_STORES.forEach(storeName => transaction.objectStore(storeName).clear());
     transaction.objectStore('publishState').clear();
     
     transaction.oncomplete = () => resolve();
@@ -280,11 +442,13 @@ async function deleteAllSessions() {
 
 /**
  * Save a capture
- * Note: We keep the imageBlob in IndexedDB - do NOT null it out
+ * The image bytes are split off into the images store in the same transaction
  */
 async function saveCapture(capture) {
+  const { imageData, ...record } = capture;
+  
   return new Promise((resolve, reject) => {
-    const transaction = db.transaction(['captures', 'sessions'], 'readwrite');
+    const transaction = db.transaction(['captures', 'images', 'sessions'], 'readwrite');
     let captureId = null;
     let sessionUpdated = false;
     
@@ -307,12 +471,13 @@ async function saveCapture(capture) {
       reject(transaction.error || new Error('Transaction aborted'));
     };
     
-    // Save capture (blob is stored in IndexedDB)
+    // Save capture metadata, then its image under the new capture id
     const capturesStore = transaction.objectStore('captures');
-    const captureRequest = capturesStore.add(capture);
+    const captureRequest = capturesStore.add(record);
     
     captureRequest.onsuccess = () => {
       captureId = captureRequest.result;
+      transaction.objectStore('images').add({ captureId, sessionId: capture.sessionId, imageData });
     };
     
     captureRequest.onerror = () => {
@@ -351,7 +516,31 @@ async function saveCapture(capture) {
 }
 
 /**
- * Get all captures for a session
+ * Count a frame that was skipped as a stationary duplicate
+ */
+async function recordSuppressedFrame(sessionId) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(['sessions'], 'readwrite');
+    const store = transaction.objectStore('sessions');
+    const request = store.get(sessionId);
+    
+    request.onsuccess = () => {
+      const session = request.result;
+      if (session) {
+        session.suppressedFrames = (session.suppressedFrames || 0) + 1;
+        session.duration = Math.floor((Date.now() - session.startTime) / 1000);
+        store.put(session);
+      }
+    };
+    request.onerror = () => reject(request.error);
+    
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Get all captures for a session (metadata only - see getCaptureImage)
  */
 async function getSessionCaptures(sessionId) {
   return new Promise((resolve, reject) => {
@@ -369,6 +558,34 @@ async function getSessionCaptures(sessionId) {
   });
 }
 
+/**
+ * Get the stored image of a capture: `imageData` (ArrayBuffer), or `imageBlob` for
+ * sessions recorded by early versions. Null if the capture has no image
+ */
+async function getCaptureImage(captureId) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(['images'], 'readonly');
+    const request = transaction.objectStore('images').get(captureId);
+    
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Ids of the captures in a session that have an image, without loading the bytes
+ */
+async function getSessionImageIds(sessionId) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(['images'], 'readonly');
+    const index = transaction.objectStore('images').index('sessionId');
+    const request = index.getAllKeys(sessionId);
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
 /**
  * Get capture count for a session
  */
@@ -467,6 +684,243 @@ function findSequenceGaps(captures) {
   return gaps;
 }
 
+// ============================================
+// Session Record Helpers
+// ============================================
+
+/**
+ * Add a record to one of the per-session stores
+ */
+async function addRecord(storeName, record) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([storeName], 'readwrite');
+    const store = transaction.objectStore(storeName);
+    const request = store.add(record);
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Get every record for a session from one of the per-session stores
+ */
+async function getRecordsBySession(storeName, sessionId) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([storeName], 'readonly');
+    const store = transaction.objectStore(storeName);
+    const request = store.index('sessionId').getAll(sessionId);
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// ============================================
+// Annotation Operations
+// ============================================
+
+/**
+ * Save a point-of-interest tag
+ */
+async function saveAnnotation(annotation) {
+  return addRecord('annotations', annotation);
+}
+
+/**
+ * Get all tags for a session in the order they were made
+ */
+async function getSessionAnnotations(sessionId) {
+  const annotations = await getRecordsBySession('annotations', sessionId);
+  return annotations.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+// ============================================
+// Voice Note Operations
+// ============================================
+
+/**
+ * Save a voice note (audio stored as ArrayBuffer, like images)
+ */
+async function saveAudioNote(note) {
+  return addRecord('audioNotes', note);
+}
+
+/**
+ * Get all voice notes for a session in the order they were recorded
+ */
+async function getSessionAudioNotes(sessionId) {
+  const notes = await getRecordsBySession('audioNotes', sessionId);
+  return notes.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+// ============================================
+// Video Operations
+// ============================================
+
+/**
+ * Save a chunk of recorded video and update session stats
+ */
+async function saveVideoChunk(chunk) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(['videoChunks', 'sessions'], 'readwrite');
+    let chunkId = null;
+    
+    const chunkRequest = transaction.objectStore('videoChunks').add(chunk);
+    chunkRequest.onsuccess = () => {
+      chunkId = chunkRequest.result;
+    };
+    
+    const sessionsStore = transaction.objectStore('sessions');
+    const sessionRequest = sessionsStore.get(chunk.sessionId);
+    sessionRequest.onsuccess = () => {
+      const session = sessionRequest.result;
+      if (session) {
+        session.videoSegments = Math.max(session.videoSegments || 0, chunk.segment);
+        session.videoMimeType = chunk.mimeType;
+        session.totalBytes = (session.totalBytes || 0) + (chunk.sizeBytes || 0);
+        session.lastCaptureTime = chunk.timestamp;
+        session.duration = Math.floor((Date.now() - session.startTime) / 1000);
+        sessionsStore.put(session);
+      }
+    };
+    
+    transaction.oncomplete = () => resolve(chunkId);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * List the video segment numbers recorded for a session
+ * Walks index keys only, so no video data is loaded
+ */
+async function getVideoSegments(sessionId) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(['videoChunks'], 'readonly');
+    const index = transaction.objectStore('videoChunks').index('sessionSegment');
+    const range = IDBKeyRange.bound([sessionId, -Infinity], [sessionId, Infinity]);
+    const request = index.openKeyCursor(range, 'nextunique');
+    const segments = [];
+    
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor) {
+        segments.push(cursor.key[1]);
+        cursor.continue();
+      } else {
+        resolve(segments);
+      }
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Get the chunks of one video segment in recording order
+ */
+async function getVideoSegmentChunks(sessionId, segment) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(['videoChunks'], 'readonly');
+    const index = transaction.objectStore('videoChunks').index('sessionSegment');
+    const request = index.getAll([sessionId, segment]);
+    
+    request.onsuccess = () => resolve(request.result.sort((a, b) => a.chunkIndex - b.chunkIndex));
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Save one row of the per-second video index
+ */
+async function saveVideoIndexEntry(entry) {
+  return addRecord('videoIndex', entry);
+}
+
+/**
+ * Get the video index for a session in time order
+ */
+async function getSessionVideoIndex(sessionId) {
+  const entries = await getRecordsBySession('videoIndex', sessionId);
+  return entries.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+// ============================================
+// IMU Operations
+// ============================================
+
+/**
+ * Save a batch of motion samples
+ */
+async function saveImuBatch(batch) {
+  return addRecord('imu', batch);
+}
+
+/**
+ * Get all motion sample batches for a session in time order
+ */
+async function getSessionImu(sessionId) {
+  const batches = await getRecordsBySession('imu', sessionId);
+  return batches.sort((a, b) => a.startTime - b.startTime);
+}
+
+// ============================================
+// Roughness Operations
+// ============================================
+
+/**
+ * Save a completed roughness window
+ */
+async function saveRoughnessWindow(record) {
+  return addRecord('roughness', record);
+}
+
+/**
+ * Get all roughness windows for a session in travel order
+ */
+async function getSessionRoughness(sessionId) {
+  const windows = await getRecordsBySession('roughness', sessionId);
+  return windows.sort((a, b) => a.startTime.localeCompare(b.startTime));
+}
+
+// ============================================
+// Road Event Operations
+// ============================================
+
+/**
+ * Save a detected pothole or bump
+ */
+async function saveRoadEvent(roadEvent) {
+  return addRecord('roadEvents', roadEvent);
+}
+
+/**
+ * Get all road events for a session in time order
+ */
+async function getSessionRoadEvents(sessionId) {
+  const events = await getRecordsBySession('roadEvents', sessionId);
+  return events.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+// ============================================
+// Track Operations
+// ============================================
+
+/**
+ * Save one GPS fix to the session track
+ */
+async function saveTrackPoint(point) {
+  return addRecord('track', point);
+}
+
+/**
+ * Get the full GPS track of a session in time order
+ */
+async function getSessionTrack(sessionId) {
+  const points = await getRecordsBySession('track', sessionId);
+  return points.sort((a, b) => a.timestamp - b.timestamp);
+}
+
 // ============================================
 // Publish State Operations
 // ============================================
@@ -561,7 +1015,9 @@ async function getAllSettings() {
  * Check for sessions that need recovery
  */
 async function checkForRecovery() {
-  const activeSessions = await getSessionsByStatus(['recording', 'publishing']);
+  // A battery pause means the phone probably died before the session was stopped
+  const activeSessions = (await getSessionsByStatus(['recording', 'publishing', 'paused']))
+    .filter(session => session.status !== 'paused' || session.pauseReason === 'battery');
   const recoverableSessions = [];
   
   for (const session of activeSessions) {
@@ -576,8 +1032,9 @@ async function checkForRecovery() {
       };
     }
     
-    // Reset status to paused
+    // Reset status to paused (offered once, like the other interrupted sessions)
     session.status = 'paused';
+    session.pauseReason = null;
     await updateSession(session);
     
     recoverableSessions.push(session);
@@ -600,6 +1057,9 @@ window.Storage = {
   createSession,
   getSession,
   updateSession,
+  patchSession,
+  addSessionEvent,
+  addTrackSegment,
   getAllSessions,
   getSessionsByStatus,
   deleteSession,
@@ -607,13 +1067,47 @@ window.Storage = {
   
   // Captures
   saveCapture,
+  recordSuppressedFrame,
   getSessionCaptures,
+  getCaptureImage,
+  getSessionImageIds,
   getSessionCaptureCount,
   getUnpublishedCaptures,
   updateCapture,
   markCapturePublished,
   findSequenceGaps,
   
+  // Annotations
+  saveAnnotation,
+  getSessionAnnotations,
+  
+  // Voice notes
+  saveAudioNote,
+  getSessionAudioNotes,
+  
+  // Video
+  saveVideoChunk,
+  getVideoSegments,
+  getVideoSegmentChunks,
+  saveVideoIndexEntry,
+  getSessionVideoIndex,
+  
+  // IMU
+  saveImuBatch,
+  getSessionImu,
+  
+  // Roughness
+  saveRoughnessWindow,
+  getSessionRoughness,
+  
+  // Road events
+  saveRoadEvent,
+  getSessionRoadEvents,
+  
+  // Track
+  saveTrackPoint,
+  getSessionTrack,
+  
   // Publish state
   savePublishState,
   getPublishState,